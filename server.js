@@ -6,6 +6,26 @@ import cors from "cors";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { generateSchedule, readScheduleOptions } from "./server/schedule.js";
+import { seedFirstRound, advancePlayoffs } from "./server/playoffs.js";
+import { createBackup, listBackups, readBackup, isBackupFile, diffSeasonData } from "./server/backups.js";
+import { writeFileAtomic, removeStaleTempFiles, createWriteQueue } from "./server/storage.js";
+import { diffMatchups, loadAuditLog, appendAuditEntries, revertChange } from "./server/audit.js";
+import {
+  loadUsers, verifyPassword, createSession, destroySession, getBearerToken, authenticate, requireRole
+} from "./server/auth.js";
+import { TEAM_STATES, validateMatchups, validateSeason, validateSeasonsData } from "./server/schema.js";
+import { migrateSeasonsData, describeMigration } from "./server/migrations.js";
+import {
+  getSettings, pickSettings, getPlayoffWeeks, getTotalWeeks, isRegularSeasonWeek, getReclassifiedWeeks, validateSettings
+} from "./server/settings.js";
+import { recalculateSeasonStandings } from "./server/standings.js";
+import { buildRecordBook } from "./server/records.js";
+import { DEFAULT_SIMULATIONS, simulateOdds } from "./server/odds.js";
+import { buildImport } from "./server/csv-import.js";
+import {
+  GAME_TYPES, collectGames, buildHeadToHead, buildRivalry, buildManagerProfile, buildAllTime
+} from "./server/history.js";
 
 // ES module equivalent of __dirname
 const __filename = fileURLToPath(import.meta.url);
@@ -22,12 +42,18 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 })); 
 app.use(express.json()); // Parse JSON request bodies
+app.use(authenticate); // Sets req.user from the session token
+
+// every route that changes data goes through this
+const commissionerOnly = requireRole("commissioner");
 
 // ===============================
 // DATA FILE PATHS
 // ===============================
 const dataFile = path.join(__dirname, "src", "data", "seasons.json");
 const backupDir = path.join(__dirname, "backups");
+const auditFile = path.join(__dirname, "src", "data", "audit-log.jsonl");
+const usersFile = path.join(__dirname, "src", "data", "users.json");
 
 // Create backup directory if it doesn't exist
 if (!fs.existsSync(backupDir)) {
@@ -38,13 +64,81 @@ if (!fs.existsSync(backupDir)) {
 // LOAD DATA INTO MEMORY
 // ===============================
 let seasonsData = {};
+removeStaleTempFiles(dataFile);
+
 try {
   const raw = fs.readFileSync(dataFile, "utf-8");
   seasonsData = JSON.parse(raw);
   console.log("Seasons data loaded. Years:", Object.keys(seasonsData));
 } catch (err) {
   console.error("Could not load seasons.json:", err);
-  process.exit(1); // Exit if data can't be loaded
+  seasonsData = await recoverData();
+}
+
+await migrateOnStartup();
+
+// the last data saved (or loaded) - a save that fails puts memory back to this
+let savedData = structuredClone(seasonsData);
+
+// problems are reported but the data is still served - saves are blocked until they're fixed
+logSchemaErrors("seasons.json", validateSeasonsData(seasonsData));
+
+// append-only history of matchup edits
+const auditLog = loadAuditLog(auditFile);
+let nextAuditId = auditLog.reduce((max, entry) => Math.max(max, entry.id || 0), 0) + 1;
+
+/**
+ * Fall back to the newest backup that still parses
+ * The unreadable file is kept in backups/ so nothing is thrown away
+ */
+async function recoverData() {
+  if (fs.existsSync(dataFile)) {
+    const corruptCopy = createBackup(dataFile, backupDir, "corrupt");
+    console.error(`Unreadable data file kept as backups/${corruptCopy}`);
+  }
+
+  for (const backup of listBackups(backupDir)) {
+    if (backup.reason === "corrupt") continue;
+
+    try {
+      const data = readBackup(backupDir, backup.file);
+      await writeFileAtomic(dataFile, JSON.stringify(data, null, 2));
+      console.warn(`Recovered seasons data from backups/${backup.file}. Years:`, Object.keys(data));
+      return data;
+    } catch (err) {
+      console.error(`Backup ${backup.file} is not usable:`, err.message);
+    }
+  }
+
+  console.error("No usable backup found - starting with empty data");
+  return {};
+}
+
+/**
+ * Bring older seasons up to the current schemaVersion
+ * The unmigrated file is kept as a pre-migration backup
+ */
+async function migrateOnStartup() {
+  const { data, changes } = migrateSeasonsData(seasonsData);
+  if (changes.length === 0) return;
+
+  describeMigration(changes).forEach(line => console.log(line));
+  const backup = createBackup(dataFile, backupDir, "pre-migration");
+  seasonsData = data;
+
+  try {
+    await writeFileAtomic(dataFile, JSON.stringify(seasonsData, null, 2));
+    console.log(`Migrated seasons.json (previous version kept as backups/${backup})`);
+  } catch (err) {
+    // still serve the migrated data - the next save writes it
+    console.error("Could not write migrated data:", err);
+  }
+}
+
+function logSchemaErrors(source, errors) {
+  if (errors.length === 0) return;
+  console.warn(`${source} failed validation (${errors.length} problem${errors.length === 1 ? "" : "s"}):`);
+  errors.slice(0, 20).forEach(e => console.warn(`  ${e.path}: ${e.message}`));
 }
 
 
@@ -52,27 +146,138 @@ try {
 // HELPER FUNCTIONS
 // ===============================
 
+// one write at a time, so overlapping requests can't interleave on disk
+const writeQueue = createWriteQueue();
+
 /**
  * Save data to JSON file
+ * Snapshots the previous file into backups/ first, then writes atomically
+ * Data that fails the schema is never written - on any failure memory goes
+ * back to the last saved data, so one bad change can't block later saves
  */
-function saveData() {
+async function saveData(reason) {
+  const errors = validateSeasonsData(seasonsData);
+  if (errors.length > 0) {
+    logSchemaErrors("Save", errors);
+    seasonsData = structuredClone(savedData);
+    return { success: false, error: "Data failed validation", errors };
+  }
+
+  // queued writes land in order, so later saves roll back to this one
+  const previous = savedData;
+  const data = JSON.stringify(seasonsData, null, 2);
+  savedData = JSON.parse(data);
+
   try {
-    fs.writeFileSync(dataFile, JSON.stringify(seasonsData, null, 2));
+    await writeQueue.push(async () => {
+      createBackup(dataFile, backupDir, reason);
+      await writeFileAtomic(dataFile, data);
+    });
     return { success: true };
   } catch (err) {
     console.error("Error writing file:", err);
+    savedData = previous;
+    seasonsData = structuredClone(previous);
     return { success: false, error: err.message };
   }
 }
 
+/**
+ * Respond to a failed saveData - validation problems are the request's fault (400)
+ */
+function sendSaveError(res, result, message = "Save failed") {
+  if (result.errors) return res.status(400).json({ error: result.error, errors: result.errors });
+  res.status(500).json({ error: message });
+}
+
+/**
+ * Who made a change - the signed-in commissioner
+ */
+function getEditor(req) {
+  return req.user?.username || "anonymous";
+}
+
+/**
+ * Turn the difference between two versions of a week into audit entries
+ */
+function buildAuditEntries(year, weekNum, oldMatchups, newMatchups, editor, extra = {}) {
+  const timestamp = new Date().toISOString();
+
+  return diffMatchups(oldMatchups, newMatchups).map(change => ({
+    id: nextAuditId++,
+    year: String(year),
+    week: Number(weekNum),
+    ...change,
+    timestamp,
+    editor,
+    ...extra
+  }));
+}
+
+/**
+ * Append entries to the audit log once the data they describe is saved
+ */
+async function recordAudit(entries) {
+  if (entries.length === 0) return;
+
+  auditLog.push(...entries);
+  try {
+    await writeQueue.push(() => appendAuditEntries(auditFile, entries));
+  } catch (err) {
+    console.error("Error writing audit log:", err);
+  }
+}
+
+/**
+ * Replace a week's matchups, recalculate, and advance the bracket
+ * Returns the audit entries for every week that changed
+ */
+function applyWeekUpdate(year, weekNum, matchups, editor, extra = {}) {
+  const season = seasonsData[year];
+  if (!season.weeks) season.weeks = {};
+
+  const previousWeeks = { ...season.weeks };
+  season.weeks[weekNum] = { matchups };
+  recalculateStandings(year);
+
+  // push playoff/toilet bowl results into the next round
+  const advancedWeeks = advancePlayoffs(season, weekNum);
+  const updatedWeeks = Object.fromEntries(
+    advancedWeeks.map(num => [num, season.weeks[num]])
+  );
+
+  const entries = [
+    ...buildAuditEntries(year, weekNum, previousWeeks[weekNum]?.matchups, matchups, editor, extra),
+    ...advancedWeeks.flatMap(num => buildAuditEntries(
+      year, num, previousWeeks[num]?.matchups, season.weeks[num].matchups, editor, { source: "bracket" }
+    ))
+  ];
+
+  return { entries, updatedWeeks };
+}
+
 /**
  * Reload data from JSON file
  * picks up manual edits to the JSON file
  */
 function reloadData() {
+  // the file is behind memory until queued writes finish
+  if (writeQueue.pending > 0) return { success: true };
+
   try {
     const raw = fs.readFileSync(dataFile, "utf-8");
-    seasonsData = JSON.parse(raw);
+    // a hand-edited file may be in an older format - migrated in memory, written on the next save
+    const { data } = migrateSeasonsData(JSON.parse(raw));
+
+    // keep serving what's in memory rather than a hand-edited file that's broken
+    const errors = validateSeasonsData(data);
+    if (errors.length > 0) {
+      logSchemaErrors("Reloaded seasons.json", errors);
+      return { success: false, error: "Data failed validation", errors };
+    }
+
+    seasonsData = data;
+    savedData = structuredClone(data);
     return { success: true };
   } catch (err) {
     console.error("Error reading file:", err);
@@ -80,180 +285,145 @@ function reloadData() {
   }
 }
 
+// standings after every regular-season week, rebuilt with the standings (not saved to disk)
+const standingsTimelines = {};
+
 /**
  * Recalculate season standings from weekly matchup data
+ * Also rebuilds the season's week-by-week timeline in standingsTimelines
  */
 function recalculateStandings(year) {
-  const season = seasonsData[year];
-  if (!season || !season.teams) return;
+  standingsTimelines[year] = recalculateSeasonStandings(seasonsData[year], year);
+}
 
-  // Skip old format seasons (arrays)
-  if (Array.isArray(season)) {
-    return;
-  }
-  
-  // Skip seasons without proper weeks structure
-  if (!season.weeks || typeof season.weeks !== 'object' || Array.isArray(season.weeks)) {
-    return;
-  }
+/**
+ * Compare hand-entered playoff flags in season.teams with the computed standings
+ * Returns one entry per disagreeing field
+ */
+function checkStoredFlags(year) {
+  const season = seasonsData[year];
+  if (!season?.teams || !season.standings) return [];
 
-  // Initialize team stats to zero
-  const stats = {};
+  const mismatches = [];
   season.teams.forEach(team => {
-    stats[team.name] = {
-      wins: 0,
-      losses: 0,
-      ties: 0,
-      pf: 0,
-      pa: 0,
-      // playoff stats by status
-      playoffStats: {
-        playoff: { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0},
-        toilet: { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0},
-        out: { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0}
-      }
-    };
-  });
+    const computed = season.standings.find(t => t.name === team.name);
+    if (!computed) return;
 
-  // find weeks that have actual scores
-  const weeksWithScores = Object.keys(season.weeks)
-    .map(Number)
-    .filter(n => !isNaN(n))
-    .filter(weekNum => {
-      const w = season.weeks[weekNum];
-      if (!w || !w.matchups) return false;
-      return w.matchups.some(m =>
-        m.team1Score !== null && m.team2Score !== null &&
-        m.team1Score > 0 && m.team2Score > 0  
-      );
-    })
-    .sort((a, b) => a - b);
-
-  let prevWeekPlaces = {}; // stores places after second-to-last week
-
-  // process weeks in order
-  for (let i = 0; i < weeksWithScores.length; i++) {
-    const weekNum = weeksWithScores[i];
-    const weekData = season.weeks[weekNum];
-
-    if (!weekData || !weekData.matchups) continue;
-  
-    // determine if this is a playoff week (15+)
-    const isPlayoffWeek = weekNum >= 15;
-
-    // process this week's matchups
-    weekData.matchups.forEach(matchup => {
-      // get scores - treat null/undefined as 0
-      const score1 = parseFloat(matchup.team1Score) || 0;
-      const score2 = parseFloat(matchup.team2Score) || 0;
-
-      const name1 = matchup.team1;
-      const name2 = matchup.team2;
-
-      // skip if either team doesn't exist in roster or is BYE
-      if (!stats[name1] || !stats[name2] || name1 === 'BYE' || 'name2' === 'BYE') return;
-      
-      let statBucket1, statBucket2;
-
-      if(!isPlayoffWeek) {
-        // regular week - use main stats
-        statBucket1 = stats[name1];
-        statBucket2 = stats[name2];
-      } else {
-        // playoff week - use status-specific bucket
-        const status = matchup.status || 'out'; //defaults to out
-        statBucket1 = stats[name1].playoffStats[status];
-        statBucket2 = stats[name2].playoffStats[status];
-      }
+    const pairs = [
+      ['rChampion', team.rChampion, computed.rChampion],
+      ['playoff.made', team.playoff?.made, computed.playoff?.made],
+      ['playoff.rounds', team.playoff?.rounds, computed.playoff?.rounds],
+      ['playoff.pChampion', team.playoff?.pChampion, computed.playoff?.pChampion]
+    ];
 
-      // accumulate points
-      statBucket1.pf += score1;
-      statBucket1.pa += score2;
-      statBucket2.pf += score2;
-      statBucket2.pa += score1;
-
-      // determine winner and update records
-      if (score1 > 0 && score2 > 0) {
-        if (score1 > score2) {
-          statBucket1.wins++;
-          statBucket2.losses++;
-        } else if (score2 > score1) {
-          statBucket2.wins++;
-          statBucket1.losses++;
-        } else {
-          // tie game
-          statBucket1.ties++;
-          statBucket2.ties++;
-        }
+    pairs.forEach(([field, stored, derived]) => {
+      const differs = field === 'playoff.rounds'
+        ? (stored || 0) !== (derived || 0)
+        : Boolean(stored) !== Boolean(derived);
+
+      if (differs) {
+        mismatches.push({ name: team.name, field, stored: stored ?? null, computed: derived ?? null });
       }
     });
+  });
 
-    // tracks place after second-to-last REGULAR season week (before playoff start)
-    // only consider regular season weeks for this calculation
-    if (!isPlayoffWeek) {
-      const regularSeasonWeeks = weeksWithScores.filter(w => w < 15);
-      const currentRegularWeekIndex = regularSeasonWeeks.indexOf(weekNum);
-
-      if (currentRegularWeekIndex === regularSeasonWeeks.length - 2) {
-        const currentStandings = season.teams.map(team => ({
-          name: team.name,
-          wins: stats[team.name].wins,
-          pf: stats[team.name].pf
-        }));
-
-        currentStandings.sort((a, b) => {
-          if (b.wins !== a.wins) return b.wins - a.wins;
-          return b.pf - a.pf;
-        });
-
-        currentStandings.forEach((team, idx) => {
-          prevWeekPlaces[team.name] = idx + 1;
-        });
-      }
-    }
-  }
+  return mismatches;
+}
+
+/**
+ * Build empty weeks for a new season
+ * Every week gets one blank matchup per pair of teams
+ */
+function buildEmptyWeeks(teamCount, totalWeeks) {
+  const matchupsPerWeek = Math.ceil(teamCount / 2);
+  const weeks = {};
 
-  if (weeksWithScores.length === 0) {
-    return;
-  } 
-
-  // Update standings array with calculated stats
-  season.standings = season.teams.map(team => {
-    // Preserve existing metadata (playoff info, championships, etc.)
-    const existingTeam = season.standings?.find(t => t.name === team.name) || {};
-
-    return {
-      ...team,
-      ...existingTeam,
-      wins: stats[team.name].wins,
-      losses: stats[team.name].losses,
-      ties: stats[team.name].ties,
-      pf: stats[team.name].pf,
-      pa: stats[team.name].pa,
-      playoffStats: stats[team.name].playoffStats
+  for (let weekNum = 1; weekNum <= totalWeeks; weekNum++) {
+    weeks[weekNum] = {
+      matchups: Array.from({ length: matchupsPerWeek }, () => ({
+        team1: null,
+        team1Score: null,
+        team2: null,
+        team2Score: null
+      }))
     };
-  });
+  }
 
-  // Sort by wins (descending), then by PF (descending)
-  season.standings.sort((a, b) => {
-    if (b.wins !== a.wins) return b.wins - a.wins;
-    return b.pf - a.pf
-  });
+  return weeks;
+}
+
+function getPreviousSeason(year) {
+  const previousYears = Object.keys(seasonsData)
+    .map(Number)
+    .filter(y => !isNaN(y) && y < Number(year))
+    .sort((a, b) => b - a);
 
-  // Assign places based on sorted order
-  season.standings.forEach((team, idx) => {
-    const currentPlace = idx + 1;
-    const previousPlace = prevWeekPlaces[team.name] || currentPlace;
+  return previousYears.length > 0 ? seasonsData[previousYears[0]] : null;
+}
 
-    team.place = currentPlace;
-    team.prevPlace = previousPlace;
-  });
+/**
+ * Copy the roster of the most recent season before the given year
+ * Only carries over name, team name, state and division - playoff flags start fresh
+ */
+function getCarryoverTeams(year) {
+  const previous = getPreviousSeason(year);
+  if (!previous) return [];
+  return (previous.teams || []).map(({ name, team, state, division }) => ({ name, team, state, division }));
 }
 
 // ===============================
 // ROUTES 
 // ===============================
 
+// ===============================
+// AUTH ROUTES
+// ===============================
+
+/**
+ * LOGIN with a local account
+ * Body: { username, password }
+ * Returns: { token, user: { username, role } }
+ */
+app.post("/api/auth/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+    return res.status(400).json({ error: "Username and password required" });
+  }
+
+  let users;
+  try {
+    users = loadUsers(usersFile);
+  } catch (err) {
+    console.error("Error reading users file:", err);
+    return res.status(500).json({ error: "Accounts unavailable" });
+  }
+
+  const user = users.find(u => u.username === username);
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    return res.status(401).json({ error: "Invalid username or password" });
+  }
+
+  res.json({
+    token: createSession(user),
+    user: { username: user.username, role: user.role }
+  });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  const token = getBearerToken(req);
+  if (token) destroySession(token);
+  res.json({ success: true });
+});
+
+// GET the signed-in user (null when logged out)
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user });
+});
+
+// ===============================
+// SEASON ROUTES
+// ===============================
+
 // GET all seasons
 app.get("/seasons", (req, res) => {
   // reload data from disk to pick up any manual JSON edits
@@ -271,6 +441,162 @@ app.get("/seasons/:year", (req, res) => {
   res.json(seasonsData[year]);
 });
 
+/**
+ * GET seasons whose hand-entered playoff flags disagree with results
+ * Returns: { "2021": [{ name, field, stored, computed }], ... }
+ */
+app.get("/api/flags", (req, res) => {
+  const report = {};
+
+  Object.keys(seasonsData).forEach(year => {
+    recalculateStandings(year);
+    const mismatches = checkStoredFlags(year);
+    if (mismatches.length > 0) report[year] = mismatches;
+  });
+
+  res.json(report);
+});
+
+/**
+ * Read ?from=&to=&type= history filters from a query string
+ * Returns { filters } or { error } for a 400
+ */
+function getHistoryFilters(query = {}) {
+  const filters = {};
+
+  for (const key of ['from', 'to']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    if (!/^\d{4}$/.test(query[key])) return { error: `${key} must be a four-digit year` };
+    filters[key] = Number(query[key]);
+  }
+  if (filters.from && filters.to && filters.from > filters.to) return { error: "from must not be after to" };
+
+  if (query.type !== undefined && query.type !== '' && query.type !== 'all') {
+    if (!GAME_TYPES.includes(query.type)) return { error: `type must be one of ${GAME_TYPES.join(', ')}` };
+    filters.type = query.type;
+  }
+
+  return { filters };
+}
+
+/**
+ * GET lifetime head-to-head records between every pair of managers
+ * Query: from?, to?, type? (regular | playoff | toilet | out)
+ * Returns: { managers, records: { [a]: { [b]: { wins, losses, ties, pf, pa, games } } }, filters }
+ */
+app.get("/api/h2h", (req, res) => {
+  const { filters, error } = getHistoryFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const { managers, records } = buildHeadToHead(collectGames(seasonsData, filters));
+  res.json({ managers, records, filters });
+});
+
+/**
+ * GET every game between two managers with streaks, blowouts and playoff meetings
+ * Query: same filters as /api/h2h
+ * Returns: { a, b, record, games, longestStreak, biggestBlowout, playoffMeetings } from a's side
+ */
+app.get("/api/rivalry/:a/:b", (req, res) => {
+  const { a, b } = req.params;
+  if (a === b) return res.status(400).json({ error: "Pick two different managers" });
+
+  const managers = new Set(Object.values(seasonsData).flatMap(season => (season.teams || []).map(t => t.name)));
+  const unknown = [a, b].find(name => !managers.has(name));
+  if (unknown) return res.status(404).json({ error: `Manager "${unknown}" not found` });
+
+  const { filters, error } = getHistoryFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  res.json(buildRivalry(collectGames(seasonsData, filters), a, b));
+});
+
+/**
+ * GET one manager's career: every season's finish, team names, championships,
+ * best and worst weeks and most common opponents
+ */
+app.get("/api/managers/:name", (req, res) => {
+  Object.keys(seasonsData).forEach(year => recalculateStandings(year));
+
+  const profile = buildManagerProfile(seasonsData, collectGames(seasonsData), req.params.name);
+  if (!profile) return res.status(404).json({ error: `Manager "${req.params.name}" not found` });
+
+  res.json(profile);
+});
+
+/**
+ * GET career totals for every manager
+ * Query: from?, to?, states? (comma-separated team states, e.g. active,jake2020)
+ * Returns: { managers: [{ name, seasons, wins, losses, ties, pf, pa, playoff, toilet, out,
+ *   allPlay, expectedWins, luck, playoffRounds, rChampionYears, pChampionYears }], filters }
+ */
+app.get("/api/alltime", (req, res) => {
+  const { filters, error } = getHistoryFilters({ from: req.query.from, to: req.query.to });
+  if (error) return res.status(400).json({ error });
+
+  if (req.query.states !== undefined) {
+    const states = String(req.query.states).split(',').filter(Boolean);
+    const unknown = states.find(state => !TEAM_STATES.includes(state));
+    if (unknown) return res.status(400).json({ error: `Unknown team state "${unknown}"` });
+    filters.states = states;
+  }
+
+  Object.keys(seasonsData).forEach(year => recalculateStandings(year));
+  res.json({ managers: buildAllTime(seasonsData, filters), filters });
+});
+
+/**
+ * GET the league record book, rebuilt from every matchup
+ * Query: limit? (entries per record, 1-25, default 5)
+ * Returns: { records: [{ key, title, kind, entries: [{ value, year, week, name, ... }] }] }
+ */
+app.get("/api/records", (req, res) => {
+  const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 25) {
+    return res.status(400).json({ error: "limit must be a whole number from 1 to 25" });
+  }
+
+  Object.keys(seasonsData).forEach(year => recalculateStandings(year));
+  res.json({ records: buildRecordBook(seasonsData, collectGames(seasonsData), limit) });
+});
+
+/**
+ * GET the standings after every regular-season week
+ * Returns: { timeline: [{ week, standings: [{ name, place, change, wins, losses, ties, pf, pa }] }] }
+ * change is places gained that week (positive = moved up)
+ */
+app.get("/api/seasons/:year/timeline", (req, res) => {
+  const { year } = req.params;
+  if (!seasonsData[year]) return res.status(404).json({ error: "Season not found" });
+
+  recalculateStandings(year);
+  res.json({ timeline: standingsTimelines[year] || [] });
+});
+
+/**
+ * GET each team's odds of each finish, simulating the rest of the regular season
+ * Query: simulations? (100 - 20000)
+ * Returns: { simulations, remainingGames, teams: [{ name, playoff, bye, toilet, first, averagePlace }] }
+ * Odds are percentages
+ */
+app.get("/api/seasons/:year/odds", (req, res) => {
+  const { year } = req.params;
+  const season = seasonsData[year];
+  if (!season) return res.status(404).json({ error: "Season not found" });
+  if (!season.weeks || Object.keys(season.weeks).length === 0) {
+    return res.status(400).json({ error: "This season has no weekly matchups" });
+  }
+
+  const simulations = req.query.simulations === undefined ? DEFAULT_SIMULATIONS : Number(req.query.simulations);
+  if (!Number.isInteger(simulations) || simulations < 100 || simulations > 20000) {
+    return res.status(400).json({ error: "simulations must be a whole number from 100 to 20000" });
+  }
+
+  recalculateStandings(year);
+  const games = collectGames(seasonsData, { from: Number(year), to: Number(year), type: 'regular' });
+  res.json(simulateOdds(season, games, { simulations, seed: Number(year) }));
+});
+
 /**
  * GET all weeks for a season
  * Returns: { weeks: { "1": {...}, "2": {...} } }
@@ -279,30 +605,446 @@ app.get("/api/seasons/:year/weeks", (req, res) => {
   const { year } = req.params;
   const season = seasonsData[year];
   if (!season) return res.status(404).json({ error: "Season not found" });
+  const settings = getSettings(season);
   res.json({
     weeks: season.weeks || {},
-    teams: season.teams || []
+    teams: season.teams || [],
+    settings,
+    playoffWeeks: getPlayoffWeeks(settings)
   });
 });
 
 // UPDATE week
-app.put("/api/seasons/:year/weeks/:weekNum", (req, res) => {
+app.put("/api/seasons/:year/weeks/:weekNum", commissionerOnly, async (req, res) => {
   const {year, weekNum } = req.params;
   const {matchups} = req.body;
 
   if (!seasonsData[year]) return res.status(404).json({ error: "Not found" });
-  if (!Array.isArray(matchups)) return res.status(400).json({ error: "Invalid data" });
 
-  if (!seasonsData[year].weeks) seasonsData[year].weeks = {};
+  const week = Number(weekNum);
+  const totalWeeks = getTotalWeeks(getSettings(seasonsData[year]));
+  if (!/^\d+$/.test(weekNum) || week < 1 || week > totalWeeks) {
+    return res.status(400).json({
+      error: "Invalid week",
+      errors: [{ path: "weekNum", message: `Week must be a whole number from 1 to ${totalWeeks}` }]
+    });
+  }
+
+  const errors = validateMatchups(matchups, seasonsData[year].teams.map(t => t.name));
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid matchups", errors });
+
+  const { entries, updatedWeeks } = applyWeekUpdate(year, week, matchups, getEditor(req));
   
-  seasonsData[year].weeks[weekNum] = { matchups };
+  const result = await saveData();
+  if (result.success) {
+    await recordAudit(entries);
+    res.json({ success: true, standings: seasonsData[year].standings, updatedWeeks });
+  } else {
+    sendSaveError(res, result);
+  }
+});
+
+/**
+ * CREATE a new season
+ * Body: { year, teams?: [{ name, team, state, division? }], settings? }
+ * Teams and settings default to the previous season's
+ */
+app.post("/api/seasons", commissionerOnly, async (req, res) => {
+  const body = req.body ?? {};
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const year = typeof body.year === 'string' || typeof body.year === 'number' ? String(body.year).trim() : '';
+  if (!/^\d{4}$/.test(year)) {
+    return res.status(400).json({ error: "Invalid year", errors: [{ path: "year", message: "must be a four-digit year" }] });
+  }
+  if (seasonsData[year]) return res.status(409).json({ error: "Season already exists" });
+
+  // check types before anything is trimmed
+  const fieldErrors = [];
+  if (body.teams != null && !Array.isArray(body.teams)) {
+    fieldErrors.push({ path: "teams", message: "must be an array" });
+  }
+  if (body.settings != null && !isObject(body.settings)) {
+    fieldErrors.push({ path: "settings", message: "must be an object" });
+  }
+  (Array.isArray(body.teams) ? body.teams : []).forEach((t, idx) => {
+    if (!isObject(t)) {
+      fieldErrors.push({ path: `teams.${idx}`, message: "must be an object" });
+      return;
+    }
+    ['name', 'team', 'division', 'state'].forEach(field => {
+      if (t[field] != null && typeof t[field] !== 'string') {
+        fieldErrors.push({ path: `teams.${idx}.${field}`, message: "must be a string" });
+      }
+    });
+  });
+  if (fieldErrors.length > 0) return res.status(400).json({ error: "Invalid season", errors: fieldErrors });
+
+  const roster = Array.isArray(body.teams) ? body.teams : getCarryoverTeams(year);
+
+  // every manager needs a unique, non-empty name
+  const names = roster.map(t => (t.name || '').trim());
+  if (names.length < 2 || names.some(n => !n || n === 'BYE')) {
+    return res.status(400).json({
+      error: "Each season needs at least two named managers",
+      errors: [{ path: "teams", message: "needs at least two named managers" }]
+    });
+  }
+  if (new Set(names).size !== names.length) {
+    return res.status(400).json({
+      error: "Duplicate manager names",
+      errors: [{ path: "teams", message: "manager names must be unique" }]
+    });
+  }
+
+  const teams = roster.map((t, idx) => ({
+    team: (t.team || '').trim(),
+    name: names[idx],
+    state: t.state || 'active',
+    ...(t.division?.trim() ? { division: t.division.trim() } : {}),
+    playoff: { made: false, rounds: 0, pChampion: false },
+    rChampion: false
+  }));
+
+  const settings = { ...getSettings(getPreviousSeason(year)), ...pickSettings(body.settings ?? {}) };
+  const season = {
+    teams,
+    weeks: buildEmptyWeeks(teams.length, getTotalWeeks(settings)),
+    settings
+  };
+
+  const errors = validateSeason(season, year);
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid season", errors });
+
+  seasonsData[year] = season;
+
+  const result = await saveData();
+  if (result.success) {
+    res.status(201).json({ success: true, year, season: seasonsData[year] });
+  } else {
+    sendSaveError(res, result);
+  }
+});
+
+/**
+ * PREVIEW a generated regular-season schedule
+ * Nothing is saved - send the returned seed to the accept route to keep this exact schedule
+ */
+app.post("/api/seasons/:year/schedule/preview", (req, res) => {
+  const season = seasonsData[req.params.year];
+  if (!season) return res.status(404).json({ error: "Season not found" });
+  if (!season.teams || season.teams.length < 2) return res.status(400).json({ error: "Season needs at least two teams" });
+
+  const { options, error } = readScheduleOptions(req.body, getSettings(season).regularSeasonWeeks);
+  if (error) return res.status(400).json({ error });
+
+  res.json(generateSchedule(season.teams, options));
+});
+
+/**
+ * ACCEPT a generated schedule and write it into season.weeks
+ * Refuses to overwrite regular-season weeks that already have scores
+ */
+app.post("/api/seasons/:year/schedule", commissionerOnly, async (req, res) => {
+  const { year } = req.params;
+  const season = seasonsData[year];
+  if (!season) return res.status(404).json({ error: "Season not found" });
+  if (!season.teams || season.teams.length < 2) return res.status(400).json({ error: "Season needs at least two teams" });
+
+  const { options, error } = readScheduleOptions(req.body, getSettings(season).regularSeasonWeeks);
+  if (error) return res.status(400).json({ error });
+
+  const { weeks, seed, warnings } = generateSchedule(season.teams, options);
+
+  if (!season.weeks) season.weeks = {};
+
+  const scoredWeeks = Object.keys(weeks).filter(weekNum =>
+    season.weeks[weekNum]?.matchups?.some(m => m.team1Score != null || m.team2Score != null)
+  );
+  if (scoredWeeks.length > 0) {
+    return res.status(409).json({ error: `Weeks already have scores: ${scoredWeeks.join(', ')}` });
+  }
+
+  const entries = Object.keys(weeks).flatMap(weekNum => buildAuditEntries(
+    year, weekNum, season.weeks[weekNum]?.matchups, weeks[weekNum].matchups, getEditor(req), { source: "schedule" }
+  ));
+  Object.assign(season.weeks, weeks);
+
+  const result = await saveData();
+  if (result.success) {
+    await recordAudit(entries);
+    res.json({ success: true, seed, warnings, weeks: season.weeks });
+  } else {
+    sendSaveError(res, result);
+  }
+});
+
+/**
+ * PREVIEW a CSV import of scores or schedules
+ * Body: { csv } - rows of week, team1, team1Score, team2, team2Score[, status, label]
+ * Returns: { rows, weeks, errorCount, conflictCount } - nothing is saved
+ */
+app.post("/api/seasons/:year/import/preview", (req, res) => {
+  const season = seasonsData[req.params.year];
+  if (!season) return res.status(404).json({ error: "Season not found" });
+  if (typeof req.body?.csv !== "string") return res.status(400).json({ error: "csv must be the file's text" });
+
+  res.json(buildImport(season, req.body.csv));
+});
+
+/**
+ * IMPORT a CSV of scores or schedules into season.weeks
+ * Body: { csv, overwrite? }
+ * Refuses rows with errors (400), and conflicts with entered games unless overwrite is true (409)
+ */
+app.post("/api/seasons/:year/import", commissionerOnly, async (req, res) => {
+  const { year } = req.params;
+  const season = seasonsData[year];
+  if (!season) return res.status(404).json({ error: "Season not found" });
+  if (typeof req.body?.csv !== "string") return res.status(400).json({ error: "csv must be the file's text" });
+
+  const preview = buildImport(season, req.body.csv);
+  if (preview.rows.length === 0) return res.status(400).json({ error: "The file has no rows", ...preview });
+  if (preview.errorCount > 0) {
+    return res.status(400).json({ error: `${preview.errorCount} rows have errors`, ...preview });
+  }
+  if (preview.conflictCount > 0 && req.body.overwrite !== true) {
+    return res.status(409).json({ error: `${preview.conflictCount} rows conflict with entered games`, ...preview });
+  }
+
+  const teamNames = season.teams.map(t => t.name);
+  const weekNums = Object.keys(preview.weeks).map(Number).sort((a, b) => a - b);
+  const errors = weekNums.flatMap(weekNum =>
+    validateMatchups(preview.weeks[weekNum].matchups, teamNames, `weeks.${weekNum}.matchups`)
+  );
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid matchups", errors });
+
+  const entries = [];
+  const updatedWeeks = {};
+  weekNums.forEach(weekNum => {
+    const update = applyWeekUpdate(year, weekNum, preview.weeks[weekNum].matchups, getEditor(req), { source: "import" });
+    entries.push(...update.entries);
+    Object.assign(updatedWeeks, { [weekNum]: season.weeks[weekNum] }, update.updatedWeeks);
+  });
+
+  const result = await saveData();
+  if (result.success) {
+    await recordAudit(entries);
+    res.json({ success: true, imported: preview.rows.length, updatedWeeks, standings: season.standings });
+  } else {
+    sendSaveError(res, result);
+  }
+});
+
+/**
+ * SEED the first playoff week from the final regular-season standings
+ * Builds playoff, toilet bowl and "out" games with labels and status
+ */
+app.post("/api/seasons/:year/playoffs/seed", commissionerOnly, async (req, res) => {
+  const { year } = req.params;
+  const season = seasonsData[year];
+  if (!season || !season.weeks) return res.status(404).json({ error: "Season not found" });
+
+  const settings = getSettings(season);
+  const [firstWeek] = getPlayoffWeeks(settings);
+  if (!firstWeek) return res.status(400).json({ error: "This season has no playoffs" });
+
+  // every regular-season game needs a result before seeds are final
+  const unfinished = Object.keys(season.weeks)
+    .filter(weekNum => isRegularSeasonWeek(settings, weekNum))
+    .filter(weekNum => (season.weeks[weekNum].matchups || []).some(m =>
+      m.team2 !== 'BYE' && (m.team1Score == null || m.team2Score == null)
+    ));
+  if (unfinished.length > 0) {
+    return res.status(409).json({ error: `Regular season not finished - weeks ${unfinished.join(', ')} have missing scores` });
+  }
+
+  const playoffWeek = season.weeks[firstWeek];
+  if (playoffWeek?.matchups?.some(m => m.team1Score != null || m.team2Score != null)) {
+    return res.status(409).json({ error: `Week ${firstWeek} already has scores` });
+  }
+
   recalculateStandings(year);
-  
-  const result = saveData();
+  if (!season.standings) return res.status(400).json({ error: "No standings to seed from" });
+
+  let matchups;
+  try {
+    matchups = seedFirstRound(season.standings, settings);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const entries = buildAuditEntries(year, firstWeek, playoffWeek?.matchups, matchups, getEditor(req), { source: "seeding" });
+  season.weeks[firstWeek] = { matchups };
+
+  const result = await saveData();
+  if (result.success) {
+    await recordAudit(entries);
+    res.json({ success: true, week: firstWeek, matchups });
+  } else {
+    sendSaveError(res, result);
+  }
+});
+
+/**
+ * UPDATE a season's league settings
+ * Body: { regularSeasonWeeks?, playoffTeams?, byes?, toiletTeams?, consolation?, medianGame?, tiebreakers? }
+ * Missing playoff weeks are added as empty weeks; existing weeks are never removed
+ * Refuses changes that would move weeks with scores between the regular season and playoffs
+ */
+app.put("/api/seasons/:year/settings", commissionerOnly, async (req, res) => {
+  const { year } = req.params;
+  const season = seasonsData[year];
+  if (!season) return res.status(404).json({ error: "Season not found" });
+
+  const current = getSettings(season);
+  const settings = { ...current, ...pickSettings(req.body) };
+  const errors = validateSettings(settings, season.teams.length);
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid settings", errors });
+
+  // played games keep the part of the season they were played in
+  const scoredWeeks = Object.keys(season.weeks || {}).filter(weekNum =>
+    (season.weeks[weekNum].matchups || []).some(m => m.team1Score != null || m.team2Score != null)
+  );
+  const movedWeeks = getReclassifiedWeeks(current, settings, scoredWeeks);
+  if (movedWeeks.length > 0) {
+    const weeks = `week${movedWeeks.length === 1 ? "" : "s"} ${movedWeeks.join(", ")}`;
+    const message = `would move ${weeks}, which already have scores, between the regular season and playoffs`;
+    const fields = ['regularSeasonWeeks', 'playoffTeams', 'byes'].filter(field => settings[field] !== current[field]);
+    return res.status(400).json({
+      error: `Settings ${message}`,
+      errors: fields.map(field => ({ path: `settings.${field}`, message }))
+    });
+  }
+
+  season.settings = settings;
+  if (!season.weeks) season.weeks = {};
+  Object.entries(buildEmptyWeeks(season.teams.length, getTotalWeeks(settings))).forEach(([weekNum, week]) => {
+    if (!season.weeks[weekNum]) season.weeks[weekNum] = week;
+  });
+  recalculateStandings(year);
+
+  const result = await saveData();
+  if (result.success) {
+    res.json({ success: true, settings, playoffWeeks: getPlayoffWeeks(settings), weeks: season.weeks });
+  } else {
+    sendSaveError(res, result);
+  }
+});
+
+/**
+ * GET list of backup snapshots (newest first)
+ * Returns: [{ file, reason, createdAt, size }]
+ */
+app.get("/api/backups", (req, res) => {
+  res.json(listBackups(backupDir));
+});
+
+/**
+ * GET how a snapshot differs from the live data
+ * Returns: { file, seasons: [{ year, change, teams, weeks }] }
+ */
+app.get("/api/backups/:file/diff", (req, res) => {
+  const { file } = req.params;
+  if (!isBackupFile(file) || !fs.existsSync(path.join(backupDir, file))) {
+    return res.status(404).json({ error: "Backup not found" });
+  }
+
+  try {
+    // compare like with like - old snapshots may predate the current format
+    const { data: snapshot } = migrateSeasonsData(readBackup(backupDir, file));
+    res.json({ file, seasons: diffSeasonData(seasonsData, snapshot) });
+  } catch (err) {
+    console.error("Error reading backup:", err);
+    res.status(500).json({ error: "Backup could not be read" });
+  }
+});
+
+/**
+ * RESTORE a snapshot over the live data
+ * The current data is snapshotted first, so a restore can itself be undone
+ */
+app.post("/api/backups/:file/restore", commissionerOnly, async (req, res) => {
+  const { file } = req.params;
+  if (!isBackupFile(file) || !fs.existsSync(path.join(backupDir, file))) {
+    return res.status(404).json({ error: "Backup not found" });
+  }
+
+  let snapshot;
+  try {
+    snapshot = migrateSeasonsData(readBackup(backupDir, file)).data;
+  } catch (err) {
+    console.error("Error reading backup:", err);
+    return res.status(500).json({ error: "Backup could not be read" });
+  }
+
+  const errors = validateSeasonsData(snapshot);
+  if (errors.length > 0) return res.status(400).json({ error: "Backup failed validation", errors });
+
+  seasonsData = snapshot;
+
+  const result = await saveData("before-restore");
+  if (result.success) {
+    res.json({ success: true, years: Object.keys(seasonsData) });
+  } else {
+    sendSaveError(res, result, "Restore failed");
+  }
+});
+
+/**
+ * GET matchup edit history, newest first
+ * Query: ?year=2025&week=3&limit=100 (limit: entries returned, 1-1000, default 200)
+ */
+app.get("/api/audit", (req, res) => {
+  const { year, week } = req.query;
+  const limit = req.query.limit === undefined ? 200 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: "limit must be a whole number from 1 to 1000" });
+  }
+
+  const entries = auditLog
+    .filter(entry => !year || entry.year === String(year))
+    .filter(entry => !week || entry.week === Number(week))
+    .slice(-limit)
+    .reverse();
+
+  res.json(entries);
+});
+
+/**
+ * REVERT a single logged change
+ * Refuses if the field was edited again afterwards
+ */
+app.post("/api/audit/:id/revert", commissionerOnly, async (req, res) => {
+  const entry = auditLog.find(e => e.id === Number(req.params.id));
+  if (!entry) return res.status(404).json({ error: "Change not found" });
+
+  const season = seasonsData[entry.year];
+  const week = season?.weeks?.[entry.week];
+  if (!week) return res.status(404).json({ error: "Week not found" });
+
+  const reverted = revertChange(week.matchups, entry);
+  if (reverted.error) return res.status(409).json({ error: reverted.error });
+
+  // e.g. restoring a team that has since been scheduled elsewhere that week
+  const errors = validateMatchups(reverted.matchups, season.teams.map(t => t.name));
+  if (errors.length > 0) return res.status(409).json({ error: "Revert would leave the week invalid", errors });
+
+  const { entries, updatedWeeks } = applyWeekUpdate(
+    entry.year, entry.week, reverted.matchups, getEditor(req), { revertOf: entry.id }
+  );
+
+  const result = await saveData();
   if (result.success) {
-    res.json({ success: true, standings: seasonsData[year].standings });
+    await recordAudit(entries);
+    res.json({
+      success: true,
+      week: season.weeks[entry.week],
+      updatedWeeks,
+      standings: season.standings
+    });
   } else {
-    res.status(500).json({ error: "Save failed" });
+    sendSaveError(res, result);
   }
 });
 
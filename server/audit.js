@@ -0,0 +1,93 @@
+// ===============================
+// MATCHUP AUDIT LOG
+// ===============================
+import fs from "fs";
+
+const MATCHUP_FIELDS = ['team1', 'team1Score', 'team2', 'team2Score', 'status', 'label'];
+
+/**
+ * Field-level differences between two versions of a week
+ * A matchup that was added or removed is a single entry with field "matchup"
+ *
+ * @returns {Array} [{ matchupIndex, field, old, new }]
+ */
+export function diffMatchups(oldMatchups = [], newMatchups = []) {
+  const changes = [];
+
+  for (let idx = 0; idx < Math.max(oldMatchups.length, newMatchups.length); idx++) {
+    const before = oldMatchups[idx];
+    const after = newMatchups[idx];
+
+    if (!before || !after) {
+      changes.push({ matchupIndex: idx, field: 'matchup', old: before || null, new: after || null });
+      continue;
+    }
+
+    MATCHUP_FIELDS.forEach(field => {
+      const oldValue = before[field] ?? null;
+      const newValue = after[field] ?? null;
+      if (oldValue !== newValue) {
+        changes.push({ matchupIndex: idx, field, old: oldValue, new: newValue });
+      }
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Read every entry from the append-only log (one JSON object per line)
+ */
+export function loadAuditLog(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, "utf-8")
+    .split("\n")
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        // a crash mid-append can leave one partial line - skip it
+        return [];
+      }
+    });
+}
+
+export async function appendAuditEntries(file, entries) {
+  if (entries.length === 0) return;
+  await fs.promises.appendFile(file, entries.map(e => JSON.stringify(e)).join("\n") + "\n");
+}
+
+/**
+ * Undo a single logged change on a week's matchups
+ * Only applies if the value is still what the entry set it to
+ *
+ * @returns {{ matchups: Array } | { error: string }}
+ */
+export function revertChange(matchups = [], entry) {
+  const result = matchups.map(m => ({ ...m }));
+  const current = result[entry.matchupIndex];
+
+  if (entry.field === 'matchup') {
+    if (entry.new === null) {
+      // matchup was removed -> put it back
+      result.splice(entry.matchupIndex, 0, { ...entry.old });
+      return { matchups: result };
+    }
+    if (!current || JSON.stringify(current) !== JSON.stringify(entry.new)) {
+      return { error: "Matchup has changed since this edit" };
+    }
+    // matchup was added -> take it out again
+    result.splice(entry.matchupIndex, 1);
+    return { matchups: result };
+  }
+
+  if (!current) return { error: "Matchup no longer exists" };
+  if ((current[entry.field] ?? null) !== entry.new) {
+    return { error: `${entry.field} has changed since this edit` };
+  }
+
+  current[entry.field] = entry.old;
+  return { matchups: result };
+}
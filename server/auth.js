@@ -0,0 +1,100 @@
+// ===============================
+// COMMISSIONER ACCOUNTS & SESSIONS
+// ===============================
+import crypto from "crypto";
+import fs from "fs";
+
+export const ROLES = ["viewer", "commissioner"];
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const KEY_LENGTH = 64;
+
+// token -> { username, role, expiresAt } (logins don't survive a restart)
+const sessions = new Map();
+
+/**
+ * Hash a password with a random salt
+ * Stored as "scrypt$<salt>$<hash>"
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+export function verifyPassword(password, stored) {
+  if (typeof password !== "string") return false;
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read accounts from users.json
+ * Returns: [{ username, role, passwordHash }]
+ */
+export function loadUsers(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, "utf-8")).users || [];
+}
+
+// ===============================
+// SESSIONS
+// ===============================
+
+export function createSession(user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  sessions.set(token, {
+    username: user.username,
+    role: user.role,
+    expiresAt: Date.now() + SESSION_TTL_MS
+  });
+  return token;
+}
+
+export function destroySession(token) {
+  sessions.delete(token);
+}
+
+function getSession(token) {
+  const session = sessions.get(token);
+  if (!session) return null;
+
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+export function getBearerToken(req) {
+  const header = req.get("Authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7) : null;
+}
+
+// ===============================
+// MIDDLEWARE
+// ===============================
+
+/**
+ * Attach req.user when the request carries a valid session token
+ */
+export function authenticate(req, res, next) {
+  const session = getSession(getBearerToken(req));
+  req.user = session ? { username: session.username, role: session.role } : null;
+  next();
+}
+
+/**
+ * Only let through signed-in users with the given role
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Login required" });
+    if (req.user.role !== role) return res.status(403).json({ error: `${role} access required` });
+    next();
+  };
+}
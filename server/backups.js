@@ -0,0 +1,142 @@
+// ===============================
+// BACKUP SNAPSHOTS
+// ===============================
+import fs from "fs";
+import path from "path";
+
+// automatic snapshots taken before every save - only these are pruned
+const AUTO_REASON = "before-save";
+const MAX_AUTO_BACKUPS = 50;
+
+// seasons-<reason>-<timestamp>.json, e.g. seasons-before-playoffs-2025-11-24T19-50-00-404Z.json
+const BACKUP_PATTERN = /^seasons-([a-z0-9-]+?)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+/**
+ * Check a requested file name is a backup in the backup directory
+ * (rejects anything with a path in it)
+ */
+export function isBackupFile(file) {
+  return typeof file === 'string' && path.basename(file) === file && BACKUP_PATTERN.test(file);
+}
+
+/**
+ * Copy the current data file into the backup directory
+ *
+ * @returns {string|null} name of the snapshot, null if there was nothing to copy
+ */
+export function createBackup(dataFile, backupDir, reason = AUTO_REASON) {
+  if (!fs.existsSync(dataFile)) return null;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = `seasons-${reason}-${timestamp}.json`;
+  fs.copyFileSync(dataFile, path.join(backupDir, file));
+
+  if (reason === AUTO_REASON) pruneAutoBackups(backupDir);
+  return file;
+}
+
+/**
+ * Keep only the newest automatic snapshots
+ */
+function pruneAutoBackups(backupDir) {
+  const autoBackups = listBackups(backupDir).filter(b => b.reason === AUTO_REASON);
+  autoBackups.slice(MAX_AUTO_BACKUPS).forEach(b => fs.unlinkSync(path.join(backupDir, b.file)));
+}
+
+/**
+ * List snapshots, newest first
+ * Returns: [{ file, reason, createdAt, size }]
+ */
+export function listBackups(backupDir) {
+  return fs.readdirSync(backupDir)
+    .filter(isBackupFile)
+    .map(file => {
+      const [, reason, stamp] = file.match(BACKUP_PATTERN);
+      const createdAt = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/, 'T$1:$2:$3.$4Z');
+      return {
+        file,
+        reason,
+        createdAt,
+        size: fs.statSync(path.join(backupDir, file)).size
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function readBackup(backupDir, file) {
+  return JSON.parse(fs.readFileSync(path.join(backupDir, file), "utf-8"));
+}
+
+// ===============================
+// DIFF
+// ===============================
+
+const MATCHUP_FIELDS = ['team1', 'team1Score', 'team2', 'team2Score', 'status', 'label'];
+const TEAM_FIELDS = ['team', 'state'];
+
+function diffTeams(liveTeams = [], backupTeams = []) {
+  const live = Object.fromEntries(liveTeams.map(t => [t.name, t]));
+  const backup = Object.fromEntries(backupTeams.map(t => [t.name, t]));
+
+  const changed = [];
+  Object.keys(live).filter(name => backup[name]).forEach(name => {
+    TEAM_FIELDS.forEach(field => {
+      if (live[name][field] !== backup[name][field]) {
+        changed.push({ name, field, live: live[name][field], backup: backup[name][field] });
+      }
+    });
+  });
+
+  return {
+    onlyLive: Object.keys(live).filter(name => !backup[name]),
+    onlyBackup: Object.keys(backup).filter(name => !live[name]),
+    changed
+  };
+}
+
+function diffWeeks(liveWeeks = {}, backupWeeks = {}) {
+  const weekNums = [...new Set([...Object.keys(liveWeeks), ...Object.keys(backupWeeks)])]
+    .sort((a, b) => Number(a) - Number(b));
+
+  return weekNums.flatMap(week => {
+    const live = liveWeeks[week]?.matchups;
+    const backup = backupWeeks[week]?.matchups;
+
+    if (!backup) return [{ week, change: 'only-live' }];
+    if (!live) return [{ week, change: 'only-backup' }];
+
+    const matchups = [];
+    for (let index = 0; index < Math.max(live.length, backup.length); index++) {
+      const fields = MATCHUP_FIELDS.filter(f => (live[index]?.[f] ?? null) !== (backup[index]?.[f] ?? null));
+      if (fields.length > 0) {
+        matchups.push({ index, fields, live: live[index] || null, backup: backup[index] || null });
+      }
+    }
+
+    return matchups.length > 0 ? [{ week, change: 'changed', matchups }] : [];
+  });
+}
+
+/**
+ * Describe how a snapshot differs from the live data
+ * Returns one entry per season that differs: which teams, weeks and matchups changed
+ * Both sides should already be migrated to the same schemaVersion
+ */
+export function diffSeasonData(liveData, backupData) {
+  const years = [...new Set([...Object.keys(liveData), ...Object.keys(backupData)])].sort();
+
+  return years.flatMap(year => {
+    const live = liveData[year];
+    const backup = backupData[year];
+
+    if (!backup) return [{ year, change: 'only-live' }];
+    if (!live) return [{ year, change: 'only-backup' }];
+
+    const teams = diffTeams(live.teams, backup.teams);
+    const weeks = diffWeeks(live.weeks, backup.weeks);
+    const teamsChanged = teams.onlyLive.length + teams.onlyBackup.length + teams.changed.length > 0;
+
+    if (!teamsChanged && weeks.length === 0) return [];
+    return [{ year, change: 'changed', teams, weeks }];
+  });
+}
@@ -0,0 +1,29 @@
+// ===============================
+// CREATE OR UPDATE A LOCAL ACCOUNT
+// usage: npm run create-user -- <username> <password> [viewer|commissioner]
+// ===============================
+import path from "path";
+import { fileURLToPath } from "url";
+import { ROLES, hashPassword, loadUsers } from "./auth.js";
+import { writeFileAtomic } from "./storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const usersFile = path.join(__dirname, "..", "src", "data", "users.json");
+
+const [username, password, role = "commissioner"] = process.argv.slice(2);
+
+if (!username || !password) {
+  console.error("Usage: npm run create-user -- <username> <password> [viewer|commissioner]");
+  process.exit(1);
+}
+if (!ROLES.includes(role)) {
+  console.error(`Role must be one of: ${ROLES.join(", ")}`);
+  process.exit(1);
+}
+
+const users = loadUsers(usersFile).filter(u => u.username !== username);
+users.push({ username, role, passwordHash: hashPassword(password) });
+
+await writeFileAtomic(usersFile, JSON.stringify({ users }, null, 2));
+
+console.log(`Saved ${role} account "${username}"`);
@@ -0,0 +1,285 @@
+// ===============================
+// CSV SCORE & SCHEDULE IMPORT
+// Rows of week, team1, team1Score, team2, team2Score[, status, label]
+// ===============================
+import { MATCHUP_STATUSES } from "./schema.js";
+import { getSettings, getTotalWeeks } from "./settings.js";
+
+const CSV_COLUMNS = ['week', 'team1', 'team1Score', 'team2', 'team2Score', 'status', 'label'];
+
+// how close a name has to be to count as a fuzzy match (1 = identical)
+const MIN_SIMILARITY = 0.75;
+
+/**
+ * Split CSV text into rows of trimmed fields
+ * Handles quoted fields with commas, doubled quotes and line breaks; skips blank lines
+ *
+ * @returns {Array} [{ line, fields }] - line is where the row starts in the file (from 1)
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    fields.push(field.trim());
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (fields.some(value => value !== '')) rows.push({ line: rowLine, fields });
+    fields = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+const normalize = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Edit distance between two strings (insert, delete, substitute)
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+}
+
+/**
+ * Match a name from the file to a manager in season.teams
+ * Tries the manager name and team name: exact (ignoring case, spaces and punctuation),
+ * then a unique first or last name, then the closest spelling
+ *
+ * @returns {Object} { input, name, match: 'exact' | 'fuzzy' | 'ambiguous' | 'unknown', candidates? }
+ */
+export function matchTeamName(input, teams) {
+  const key = normalize(input);
+  if (!key) return { input, name: null, match: 'unknown' };
+  if (key === 'bye') return { input, name: 'BYE', match: 'exact' };
+
+  const exact = teams.filter(team => normalize(team.name) === key || (team.team && normalize(team.team) === key));
+  if (exact.length === 1) return { input, name: exact[0].name, match: 'exact' };
+
+  const byPart = teams.filter(team => team.name.split(/\s+/).some(part => normalize(part) === key));
+  if (byPart.length === 1) return { input, name: byPart[0].name, match: 'fuzzy' };
+  if (byPart.length > 1) return { input, name: null, match: 'ambiguous', candidates: byPart.map(team => team.name) };
+
+  const scored = teams
+    .map(team => ({
+      name: team.name,
+      score: Math.max(similarity(key, normalize(team.name)), team.team ? similarity(key, normalize(team.team)) : 0)
+    }))
+    .filter(candidate => candidate.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) return { input, name: null, match: 'unknown' };
+  if (scored.length > 1 && scored[0].score - scored[1].score < 0.1) {
+    return { input, name: null, match: 'ambiguous', candidates: scored.slice(0, 3).map(c => c.name) };
+  }
+  return { input, name: scored[0].name, match: 'fuzzy' };
+}
+
+function parseScore(value) {
+  if (value === undefined || value === '') return { score: null };
+  const score = Number(value);
+  return Number.isFinite(score) && score >= 0 ? { score } : { error: `"${value}" is not a valid score` };
+}
+
+const isBlankSlot = m => !m.team1 && !m.team2;
+const hasScores = m => m.team1Score != null || m.team2Score != null;
+
+/**
+ * A slot's teams and scores from the file, keeping the slot's status and label unless the file sets them
+ */
+function fillSlot(slot, game) {
+  const filled = {
+    ...slot,
+    ...game,
+    status: game.status ?? slot.status,
+    label: game.label ?? slot.label
+  };
+  if (filled.status == null) delete filled.status;
+  if (filled.label == null) delete filled.label;
+  return filled;
+}
+
+/**
+ * Merge one imported game into a week's matchups
+ * Fills the existing game between the two teams, else a blank slot (one with the
+ * same status first), else appends.
+ * Conflicts: changing scores already entered, or a team already playing someone else
+ * (that game is removed so the imported one replaces it)
+ *
+ * @returns {Array<string>} conflict messages
+ */
+function mergeGame(matchups, game, week) {
+  const conflicts = [];
+  const pair = [game.team1, game.team2];
+  const idx = matchups.findIndex(m => pair.includes(m.team1) && pair.includes(m.team2));
+
+  if (idx >= 0) {
+    const existing = matchups[idx];
+    const flipped = existing.team1 === game.team2;
+    const oldScores = flipped ? [existing.team2Score, existing.team1Score] : [existing.team1Score, existing.team2Score];
+    if (hasScores(existing) && (oldScores[0] !== game.team1Score || oldScores[1] !== game.team2Score)) {
+      conflicts.push(`Replaces the entered score ${oldScores[0] ?? '-'}-${oldScores[1] ?? '-'}`);
+    }
+    matchups[idx] = fillSlot(existing, game);
+    return conflicts;
+  }
+
+  // either team already scheduled against someone else this week
+  for (let i = matchups.length - 1; i >= 0; i--) {
+    const m = matchups[i];
+    const clash = pair.find(name => name !== 'BYE' && (m.team1 === name || m.team2 === name));
+    if (!clash) continue;
+    const opponent = m.team1 === clash ? m.team2 : m.team1;
+    conflicts.push(`${clash} already plays ${opponent} in week ${week}${hasScores(m) ? ' (with scores)' : ''} - that game is removed`);
+    matchups.splice(i, 1);
+  }
+
+  const blanks = matchups.flatMap((m, i) => isBlankSlot(m) ? [i] : []);
+  const blank = blanks.find(i => game.status != null && matchups[i].status === game.status) ?? blanks[0];
+  if (blank !== undefined) matchups[blank] = fillSlot(matchups[blank], game);
+  else matchups.push(fillSlot({}, game));
+  return conflicts;
+}
+
+/**
+ * Check every CSV row and merge the good ones into copies of the season's weeks
+ * Nothing in the season is changed
+ *
+ * @param {Object} season - The season being imported into
+ * @param {string} text - CSV contents, with or without a header row
+ * @returns {Object} { rows, weeks, errorCount, conflictCount }
+ *   rows: [{ line, week, team1, team2, team1Score, team2Score, status, label, errors, conflicts }]
+ *   (team1/team2 are matchTeamName results); weeks: merged { [weekNum]: { matchups } } for the weeks touched
+ */
+export function buildImport(season, text) {
+  const teams = season.teams || [];
+  const totalWeeks = getTotalWeeks(getSettings(season));
+  const lines = parseCsv(text);
+
+  // a first row without a week number is a header
+  const hasHeader = lines.length > 0 && !/^\d+$/.test(lines[0].fields[0]);
+  const rows = (hasHeader ? lines.slice(1) : lines).map(({ line, fields }) => {
+    const [week, team1, team1Score, team2, team2Score, status = '', label = ''] = fields;
+    const row = {
+      line,
+      week: Number(week),
+      team1: matchTeamName(team1 ?? '', teams),
+      team2: matchTeamName(team2 ?? '', teams),
+      team1Score: null,
+      team2Score: null,
+      status: status || null,
+      label: label || null,
+      errors: [],
+      conflicts: []
+    };
+
+    if (fields.length < 5) {
+      row.errors.push(`Expected ${CSV_COLUMNS.slice(0, 5).join(', ')}[, status, label]`);
+      return row;
+    }
+    if (!Number.isInteger(row.week) || row.week < 1 || row.week > totalWeeks) {
+      row.errors.push(`Week must be a whole number from 1 to ${totalWeeks}`);
+    }
+
+    ['team1', 'team2'].forEach(field => {
+      const { input, match, candidates } = row[field];
+      if (match === 'unknown') row.errors.push(`Unknown team "${input}"`);
+      if (match === 'ambiguous') row.errors.push(`"${input}" could be ${candidates.join(' or ')}`);
+    });
+    if (row.team1.name === 'BYE') row.errors.push('BYE must be team2');
+    if (row.team1.name && row.team1.name === row.team2.name) row.errors.push(`${row.team1.name} can't play itself`);
+
+    [['team1Score', team1Score], ['team2Score', team2Score]].forEach(([field, value]) => {
+      const { score, error } = parseScore(value);
+      if (error) row.errors.push(error);
+      else row[field] = score;
+    });
+
+    if (row.status && !MATCHUP_STATUSES.includes(row.status)) {
+      row.errors.push(`Status must be one of ${MATCHUP_STATUSES.join(', ')}`);
+    }
+    return row;
+  });
+
+  // a team can only appear once per week in the file
+  const seen = {};
+  rows.forEach(row => {
+    if (row.errors.length > 0) return;
+    [row.team1.name, row.team2.name].filter(name => name !== 'BYE').forEach(name => {
+      const key = `${row.week}|${name}`;
+      if (seen[key]) row.errors.push(`${name} is already in week ${row.week} on line ${seen[key]}`);
+      else seen[key] = row.line;
+    });
+  });
+
+  const weeks = {};
+  rows.filter(row => row.errors.length === 0).forEach(row => {
+    weeks[row.week] ??= { matchups: (season.weeks?.[row.week]?.matchups || []).map(m => ({ ...m })) };
+    row.conflicts = mergeGame(weeks[row.week].matchups, {
+      team1: row.team1.name,
+      team1Score: row.team1Score,
+      team2: row.team2.name,
+      team2Score: row.team2Score,
+      status: row.status,
+      label: row.label
+    }, row.week);
+  });
+
+  return {
+    rows,
+    weeks,
+    errorCount: rows.filter(row => row.errors.length > 0).length,
+    conflictCount: rows.filter(row => row.conflicts.length > 0).length
+  };
+}
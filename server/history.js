@@ -0,0 +1,346 @@
+// ===============================
+// CROSS-SEASON GAME HISTORY
+// Flattens every season's weeks into one list of played games
+// ===============================
+import { getSettings, isRegularSeasonWeek } from "./settings.js";
+
+// regular season, then the playoff week statuses
+export const GAME_TYPES = ['regular', 'playoff', 'toilet', 'out'];
+
+/**
+ * Same rule as the standings: a game counts once both teams have scored
+ */
+function isPlayed(matchup) {
+  return matchup.team2 !== 'BYE' && matchup.team1 && matchup.team2 &&
+    Number(matchup.team1Score) > 0 && Number(matchup.team2Score) > 0;
+}
+
+/**
+ * Every played game, oldest first
+ *
+ * @param {Object} seasonsData - All seasons keyed by year
+ * @param {Object} filters
+ * @param {number} filters.from - First year to include
+ * @param {number} filters.to - Last year to include
+ * @param {string} filters.type - One of GAME_TYPES; all types when omitted
+ * @returns {Array} [{ year, week, type, label, team1, team2, score1, score2 }]
+ */
+export function collectGames(seasonsData, { from, to, type } = {}) {
+  const games = [];
+
+  Object.keys(seasonsData).sort().forEach(year => {
+    if (from && Number(year) < from) return;
+    if (to && Number(year) > to) return;
+
+    const season = seasonsData[year];
+    const settings = getSettings(season);
+
+    Object.keys(season.weeks || {}).map(Number).sort((a, b) => a - b).forEach(week => {
+      const regular = isRegularSeasonWeek(settings, week);
+
+      (season.weeks[week].matchups || []).forEach(matchup => {
+        if (!isPlayed(matchup)) return;
+
+        const gameType = regular ? 'regular' : matchup.status || 'out';
+        if (type && gameType !== type) return;
+
+        games.push({
+          year: Number(year),
+          week,
+          type: gameType,
+          label: matchup.label || null,
+          team1: matchup.team1,
+          team2: matchup.team2,
+          score1: Number(matchup.team1Score),
+          score2: Number(matchup.team2Score)
+        });
+      });
+    });
+  });
+
+  return games;
+}
+
+/**
+ * Regular-season matchups still waiting for scores
+ */
+export function getRemainingGames(season) {
+  const settings = getSettings(season);
+  return Object.keys(season.weeks || {})
+    .map(Number)
+    .filter(week => isRegularSeasonWeek(settings, week))
+    .sort((a, b) => a - b)
+    .flatMap(week => (season.weeks[week].matchups || [])
+      .filter(m => m.team1 && m.team2 && m.team2 !== 'BYE' && !isPlayed(m))
+      .map(m => ({ week, team1: m.team1, team2: m.team2 })));
+}
+
+/**
+ * One game from a manager's side
+ */
+export function fromSide(game, name) {
+  const home = game.team1 === name;
+  return {
+    year: game.year,
+    week: game.week,
+    type: game.type,
+    label: game.label,
+    opponent: home ? game.team2 : game.team1,
+    score: home ? game.score1 : game.score2,
+    opponentScore: home ? game.score2 : game.score1
+  };
+}
+
+export function emptyRecord() {
+  return { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0 };
+}
+
+/**
+ * Add one game (from a manager's side) to a record
+ */
+export function addResult(record, { score, opponentScore }) {
+  record.pf += score;
+  record.pa += opponentScore;
+  if (score > opponentScore) record.wins++;
+  else if (score < opponentScore) record.losses++;
+  else record.ties++;
+  return record;
+}
+
+/**
+ * Lifetime record of every manager against every other
+ *
+ * @returns {{ managers: Array<string>, records: Object }}
+ *   records[a][b]: { wins, losses, ties, pf, pa, games: [...] } from a's side
+ */
+export function buildHeadToHead(games) {
+  const records = {};
+  const record = (a, b) => {
+    records[a] ??= {};
+    records[a][b] ??= { ...emptyRecord(), games: [] };
+    return records[a][b];
+  };
+
+  games.forEach(game => {
+    [game.team1, game.team2].forEach(name => {
+      const side = fromSide(game, name);
+      const entry = record(name, side.opponent);
+      addResult(entry, side);
+      entry.games.push(side);
+    });
+  });
+
+  return {
+    managers: Object.keys(records).sort(),
+    records
+  };
+}
+
+/**
+ * Everything about one pairing, from a's side, oldest game first
+ *
+ * @returns {Object} { a, b, record, games, longestStreak, biggestBlowout, playoffMeetings }
+ *   games carry the margin, winner and a's running record after that game
+ */
+export function buildRivalry(games, a, b) {
+  const record = emptyRecord();
+  let streak = null;
+  let longestStreak = null;
+  let biggestBlowout = null;
+
+  const meetings = games
+    .filter(g => (g.team1 === a && g.team2 === b) || (g.team1 === b && g.team2 === a))
+    .map(game => {
+      const side = fromSide(game, a);
+      addResult(record, side);
+
+      const margin = Math.round((side.score - side.opponentScore) * 100) / 100;
+      const winner = margin > 0 ? a : margin < 0 ? b : null;
+      const at = { year: side.year, week: side.week };
+
+      // a tie ends any streak
+      if (winner && streak?.winner === winner) {
+        streak.length++;
+        streak.to = at;
+      } else {
+        streak = winner ? { winner, length: 1, from: at, to: at } : null;
+      }
+      if (streak && streak.length > (longestStreak?.length || 0)) longestStreak = { ...streak };
+
+      if (winner && Math.abs(margin) > (biggestBlowout?.margin || 0)) {
+        biggestBlowout = {
+          ...at,
+          type: side.type,
+          winner,
+          loser: winner === a ? b : a,
+          winnerScore: Math.max(side.score, side.opponentScore),
+          loserScore: Math.min(side.score, side.opponentScore),
+          margin: Math.abs(margin)
+        };
+      }
+
+      return {
+        ...side,
+        margin,
+        winner,
+        record: { wins: record.wins, losses: record.losses, ties: record.ties }
+      };
+    });
+
+  return {
+    a,
+    b,
+    record,
+    games: meetings,
+    longestStreak,
+    biggestBlowout,
+    playoffMeetings: meetings.filter(game => game.type === 'playoff')
+  };
+}
+
+/**
+ * Career history for one manager
+ * Season rows come from the (recalculated) standings; weeks and opponents from games
+ *
+ * @param {Object} seasonsData - All seasons keyed by year
+ * @param {Array} games - collectGames output
+ * @param {string} name - Manager name
+ * @returns {Object|null} null if the manager never played a season
+ */
+export function buildManagerProfile(seasonsData, games, name) {
+  const seasons = Object.keys(seasonsData).sort().flatMap(year => {
+    const season = seasonsData[year];
+    const row = (season.standings || season.teams || []).find(t => t.name === name);
+    if (!row) return [];
+
+    return [{
+      year: Number(year),
+      team: row.team,
+      state: row.state,
+      place: row.place ?? null,
+      wins: row.wins || 0,
+      losses: row.losses || 0,
+      ties: row.ties || 0,
+      pf: row.pf || 0,
+      pa: row.pa || 0,
+      rChampion: Boolean(row.rChampion),
+      playoff: row.playoff || null,
+      playoffStats: row.playoffStats || null
+    }];
+  });
+  if (seasons.length === 0) return null;
+
+  const career = seasons.reduce((total, s) => ({
+    wins: total.wins + s.wins,
+    losses: total.losses + s.losses,
+    ties: total.ties + s.ties,
+    pf: total.pf + s.pf,
+    pa: total.pa + s.pa
+  }), emptyRecord());
+
+  // team names in the order they were first used
+  const teamNames = [];
+  seasons.forEach(({ year, team }) => {
+    if (!team) return;
+    const entry = teamNames.find(t => t.team === team);
+    if (entry) entry.years.push(year);
+    else teamNames.push({ team, years: [year] });
+  });
+
+  const ownGames = games
+    .filter(g => g.team1 === name || g.team2 === name)
+    .map(g => fromSide(g, name));
+  const byScore = [...ownGames].sort((a, b) => b.score - a.score);
+
+  const opponents = {};
+  ownGames.forEach(game => {
+    opponents[game.opponent] ??= { name: game.opponent, games: 0, ...emptyRecord() };
+    opponents[game.opponent].games++;
+    addResult(opponents[game.opponent], game);
+  });
+
+  return {
+    name,
+    seasons,
+    career: { ...career, seasons: seasons.length },
+    teamNames,
+    championships: {
+      regularSeason: seasons.filter(s => s.rChampion).map(s => s.year),
+      playoff: seasons.filter(s => s.playoff?.pChampion).map(s => s.year)
+    },
+    bestWeeks: byScore.slice(0, 5),
+    worstWeeks: byScore.slice(-5).reverse(),
+    opponents: Object.values(opponents).sort((a, b) => b.games - a.games || a.name.localeCompare(b.name))
+  };
+}
+
+/**
+ * Career totals for every manager from the (recalculated) standings
+ * Regular-season totals come from the standings rows; postseason records from playoffStats
+ * Seasons with no games played yet are skipped
+ *
+ * @param {Object} seasonsData - All seasons keyed by year
+ * @param {Object} filters
+ * @param {number} filters.from - First year to include
+ * @param {number} filters.to - Last year to include
+ * @param {Array<string>} filters.states - Only count seasons where the manager had one of these states
+ * @returns {Array} One entry per manager, sorted by name
+ */
+export function buildAllTime(seasonsData, { from, to, states } = {}) {
+  const managers = {};
+
+  Object.keys(seasonsData).sort().forEach(year => {
+    if (from && Number(year) < from) return;
+    if (to && Number(year) > to) return;
+
+    const season = seasonsData[year];
+    const rows = season.standings || season.teams || [];
+    // a season that hasn't started yet isn't a season played
+    if (!rows.some(row => (row.wins || 0) + (row.losses || 0) + (row.ties || 0) > 0)) return;
+
+    rows.forEach(row => {
+      if (states && !states.includes(row.state)) return;
+
+      const entry = managers[row.name] ??= {
+        name: row.name,
+        seasons: [],
+        ...emptyRecord(),
+        games: 0,
+        playoff: emptyRecord(),
+        toilet: emptyRecord(),
+        out: emptyRecord(),
+        allPlay: { wins: 0, losses: 0, ties: 0 },
+        expectedWins: 0,
+        luck: 0,
+        playoffRounds: 0,
+        rChampionYears: [],
+        pChampionYears: []
+      };
+
+      entry.seasons.push(Number(year));
+      // regular-season games played - median results count in the record, not as games
+      const { wins = 0, losses = 0, ties = 0 } = row.h2hRecord || row;
+      entry.games += wins + losses + ties;
+      ['wins', 'losses', 'ties', 'pf', 'pa'].forEach(field => {
+        entry[field] += row[field] || 0;
+        ['playoff', 'toilet', 'out'].forEach(bracket => {
+          entry[bracket][field] += row.playoffStats?.[bracket]?.[field] || 0;
+        });
+      });
+
+      // hand-entered seasons have no weekly scores to build these from
+      ['wins', 'losses', 'ties'].forEach(field => {
+        entry.allPlay[field] += row.allPlay?.[field] || 0;
+      });
+      entry.expectedWins = Math.round((entry.expectedWins + (row.expectedWins || 0)) * 100) / 100;
+      entry.luck = Math.round((entry.luck + (row.luck || 0)) * 100) / 100;
+
+      if (row.rChampion) entry.rChampionYears.push(Number(year));
+      if (row.playoff?.pChampion) entry.pChampionYears.push(Number(year));
+      // winning the final counts as a round
+      if (row.playoff?.made) entry.playoffRounds += (row.playoff.rounds || 0) + (row.playoff.pChampion ? 1 : 0);
+    });
+  });
+
+  return Object.values(managers).sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,74 @@
+// ===============================
+// ALL-PLAY RECORD & LUCK
+// How a team would have done each week against every other team's score
+// ===============================
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * All-play record and expected wins from weekly scores
+ * Each week a team "plays" every other team that scored that week;
+ * its expected wins are its share of those games (ties count half)
+ *
+ * @param {Array<Object>} weeklyScores - One { [name]: score } per played week
+ * @returns {Object} { [name]: { allPlay: { wins, losses, ties }, expectedWins } }
+ */
+export function computeAllPlay(weeklyScores) {
+  const result = {};
+
+  weeklyScores.forEach(scores => {
+    const names = Object.keys(scores);
+    if (names.length < 2) return;
+
+    names.forEach(name => {
+      const week = { wins: 0, losses: 0, ties: 0 };
+      names.forEach(other => {
+        if (other === name) return;
+        if (scores[name] > scores[other]) week.wins++;
+        else if (scores[name] < scores[other]) week.losses++;
+        else week.ties++;
+      });
+
+      const entry = result[name] ??= { allPlay: { wins: 0, losses: 0, ties: 0 }, expectedWins: 0 };
+      entry.allPlay.wins += week.wins;
+      entry.allPlay.losses += week.losses;
+      entry.allPlay.ties += week.ties;
+      entry.expectedWins += (week.wins + 0.5 * week.ties) / (names.length - 1);
+    });
+  });
+
+  Object.values(result).forEach(entry => {
+    entry.expectedWins = round2(entry.expectedWins);
+  });
+  return result;
+}
+
+/**
+ * Middle score of a week (average of the two middle scores for an even count)
+ */
+export function getMedian(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Each team's bonus game against the league median for one week
+ *
+ * @param {Object} scores - { [name]: score } for every team that played that week
+ * @returns {Object} { [name]: 'win' | 'loss' | 'tie' }
+ */
+export function getMedianResults(scores) {
+  const median = getMedian(Object.values(scores));
+  return Object.fromEntries(Object.entries(scores).map(([name, score]) => [
+    name,
+    score > median ? 'win' : score < median ? 'loss' : 'tie'
+  ]));
+}
+
+/**
+ * Actual minus expected wins - positive means the schedule helped
+ */
+export function getLuck({ wins, ties }, expectedWins) {
+  return round2(wins + 0.5 * ties - expectedWins);
+}
@@ -0,0 +1,29 @@
+// ===============================
+// RUN DATA MIGRATIONS BY HAND
+// usage: npm run migrate -- [--dry-run]
+// The server also runs them on startup - stop it before migrating without --dry-run
+// ===============================
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { migrateSeasonsData, describeMigration } from "./migrations.js";
+import { createBackup } from "./backups.js";
+import { writeFileAtomic } from "./storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataFile = path.join(__dirname, "..", "src", "data", "seasons.json");
+const backupDir = path.join(__dirname, "..", "backups");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const { data, changes } = migrateSeasonsData(JSON.parse(fs.readFileSync(dataFile, "utf-8")));
+describeMigration(changes).forEach(line => console.log(line));
+
+if (dryRun || changes.length === 0) {
+  if (dryRun && changes.length > 0) console.log("\nDry run - nothing written");
+  process.exit(0);
+}
+
+const backup = createBackup(dataFile, backupDir, "pre-migration");
+await writeFileAtomic(dataFile, JSON.stringify(data, null, 2));
+console.log(`\nMigrated seasons.json (previous version kept as backups/${backup})`);
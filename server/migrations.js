@@ -0,0 +1,137 @@
+// ===============================
+// DATA MIGRATIONS
+// Each season carries a schemaVersion; migrations run in order on anything older
+// ===============================
+function toPlace(value) {
+  if (Number.isInteger(value) && value > 0) return value;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return Number(value);
+  return null;
+}
+
+/**
+ * Ordered list of migrations - append new ones, never edit or reorder old ones
+ * up(season, note) returns the migrated season; note(message) records what changed
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Convert array seasons to { teams, weeks, standings }",
+    up(season, note) {
+      if (!Array.isArray(season)) return season;
+
+      note(`converted ${season.length} standings rows into a season object`);
+      return {
+        teams: season.map(({ team, name, state, playoff, rChampion }) => ({ team, name, state, playoff, rChampion })),
+        weeks: {},
+        standings: season.map(row => ({ ...row }))
+      };
+    }
+  },
+  {
+    version: 2,
+    description: "Store standings places as numbers",
+    up(season, note) {
+      (season.standings || []).forEach((row, idx) => {
+        if (row.place !== undefined && toPlace(row.place) !== row.place) {
+          // old tables used emoji places - rows are already in finishing order
+          const place = toPlace(row.place) ?? idx + 1;
+          note(`${row.name}: place ${JSON.stringify(row.place)} -> ${place}`);
+          row.place = place;
+        }
+
+        if (row.prevPlace !== undefined && toPlace(row.prevPlace) !== row.prevPlace) {
+          const prevPlace = toPlace(row.prevPlace);
+          note(`${row.name}: prevPlace ${JSON.stringify(row.prevPlace)} -> ${prevPlace ?? 'removed'}`);
+          if (prevPlace === null) delete row.prevPlace;
+          else row.prevPlace = prevPlace;
+        }
+      });
+      return season;
+    }
+  },
+  {
+    version: 3,
+    description: "Add league settings",
+    up(season, note) {
+      if (season.settings) return season;
+      // the settings as they stood at v3 - fields added later have their own migrations or getSettings defaults
+      season.settings = { regularSeasonWeeks: 14, playoffTeams: 6, byes: 2, toiletTeams: 4, consolation: true };
+      note('added the standard league settings');
+
+      // the first week flagged with a playoff status ends the regular season (hand-entered brackets have no scores)
+      const weekNums = Object.keys(season.weeks || {}).map(Number).filter(n => !isNaN(n)).sort((a, b) => a - b);
+      const firstFlagged = weekNums.find(weekNum =>
+        (season.weeks[weekNum].matchups || []).some(m => m.status != null)
+      );
+      // seasons without any weeks only know their length from the standings
+      const gamesPlayed = Math.max(0, ...(season.standings || []).map(t => (t.wins || 0) + (t.losses || 0) + (t.ties || 0)));
+
+      if (firstFlagged > 1 && firstFlagged - 1 !== season.settings.regularSeasonWeeks) {
+        season.settings.regularSeasonWeeks = firstFlagged - 1;
+        note(`regularSeasonWeeks set to ${firstFlagged - 1} from the first playoff week`);
+      } else if (firstFlagged === undefined && weekNums.length === 0 &&
+        gamesPlayed > 0 && gamesPlayed !== season.settings.regularSeasonWeeks) {
+        season.settings.regularSeasonWeeks = gamesPlayed;
+        note(`regularSeasonWeeks set to ${gamesPlayed} from games played in the standings`);
+      }
+      return season;
+    }
+  },
+  {
+    version: 4,
+    description: "Store standings tiebreakers",
+    up(season, note) {
+      if (!season.settings || season.settings.tiebreakers) return season;
+      // the order these seasons were played and seeded under - later default changes mustn't reorder them
+      season.settings.tiebreakers = ['winPct', 'pointsFor', 'headToHead', 'pointsAgainst', 'division', 'coinFlip'];
+      note('tiebreakers set to record, then points for');
+      return season;
+    }
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring every season up to CURRENT_SCHEMA_VERSION
+ * The input is left untouched
+ *
+ * @returns {{ data: Object, changes: Array }} changes: [{ year, from, to, steps: [{ version, description, notes }] }]
+ */
+export function migrateSeasonsData(input) {
+  const data = structuredClone(input);
+  const changes = [];
+
+  Object.keys(data).forEach(year => {
+    const from = data[year]?.schemaVersion || 0;
+    const steps = [];
+
+    MIGRATIONS.filter(m => m.version > from).forEach(migration => {
+      const notes = [];
+      data[year] = migration.up(data[year], message => notes.push(message));
+      steps.push({ version: migration.version, description: migration.description, notes });
+    });
+
+    if (steps.length > 0) {
+      data[year].schemaVersion = CURRENT_SCHEMA_VERSION;
+      changes.push({ year, from, to: CURRENT_SCHEMA_VERSION, steps });
+    }
+  });
+
+  return { data, changes };
+}
+
+/**
+ * Human-readable summary of migrateSeasonsData changes, one line per entry
+ */
+export function describeMigration(changes) {
+  if (changes.length === 0) return [`All seasons are at schema version ${CURRENT_SCHEMA_VERSION}`];
+
+  return changes.flatMap(({ year, from, to, steps }) => [
+    `${year}: v${from} -> v${to}`,
+    ...steps.flatMap(step => [
+      `  [${step.version}] ${step.description}${step.notes.length === 0 ? ' (no changes)' : ''}`,
+      ...step.notes.map(n => `      ${n}`)
+    ])
+  ]);
+}
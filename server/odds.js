@@ -0,0 +1,177 @@
+// ===============================
+// PLAYOFF ODDS
+// Monte Carlo: play out the rest of the regular season thousands of times
+// ===============================
+import { getSettings } from "./settings.js";
+import { getRemainingGames } from "./history.js";
+import { rankStandings } from "./tiebreakers.js";
+import { getMedianResults } from "./luck.js";
+
+export const DEFAULT_SIMULATIONS = 5000;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32), so the same season gives the same odds
+ */
+function createRandom(seed) {
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function normal(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+}
+
+function describe(scores) {
+  const mean = scores.reduce((sum, s) => sum + s, 0) / scores.length;
+  const variance = scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / Math.max(scores.length - 1, 1);
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Each team's weekly scoring as a mean and spread from its games so far
+ * Teams with fewer than two scores borrow the league's numbers
+ */
+function getScoringModels(names, games) {
+  const scores = Object.fromEntries(names.map(name => [name, []]));
+  games.forEach(({ team1, team2, score1, score2 }) => {
+    scores[team1]?.push(score1);
+    scores[team2]?.push(score2);
+  });
+
+  const all = Object.values(scores).flat();
+  const league = all.length > 1 ? describe(all) : { mean: 100, sd: 20 };
+
+  return Object.fromEntries(names.map(name => [
+    name,
+    scores[name].length > 1 ? describe(scores[name]) : league
+  ]));
+}
+
+/**
+ * Odds of each finish, as percentages, from simulated rest-of-season results
+ * Every simulated season goes through the same standings and tiebreak rules,
+ * including the bonus games against the weekly median when the season uses them
+ *
+ * @param {Object} season - Season with standings recalculated
+ * @param {Array} games - The season's played regular-season games (collectGames output)
+ * @param {Object} options
+ * @param {number} options.simulations - Seasons to simulate
+ * @param {number|string} options.seed - The season year (coin flips and random draws)
+ * @returns {Object} { simulations, remainingGames, teams: [{ name, playoff, bye, toilet, first, averagePlace }] }
+ */
+export function simulateOdds(season, games, { simulations = DEFAULT_SIMULATIONS, seed = 0 } = {}) {
+  const settings = getSettings(season);
+  const teams = season.teams.map(team => {
+    const row = season.standings?.find(t => t.name === team.name) || {};
+    return {
+      name: team.name,
+      division: team.division,
+      wins: row.wins || 0,
+      losses: row.losses || 0,
+      ties: row.ties || 0,
+      pf: row.pf || 0,
+      pa: row.pa || 0
+    };
+  });
+  const names = teams.map(team => team.name);
+
+  const remaining = getRemainingGames(season).filter(g => names.includes(g.team1) && names.includes(g.team2));
+  // nothing left to play means every simulation ends the same way
+  const runs = remaining.length === 0 ? 1 : simulations;
+
+  const models = getScoringModels(names, games);
+  const random = createRandom(seed);
+  const toiletFrom = teams.length - settings.toiletTeams + 1;
+
+  const counts = Object.fromEntries(names.map(name => [
+    name,
+    { playoff: 0, bye: 0, toilet: 0, first: 0, places: 0 }
+  ]));
+
+  for (let run = 0; run < runs; run++) {
+    const rows = Object.fromEntries(teams.map(team => [team.name, { ...team }]));
+    const simulated = remaining.map(({ week, team1, team2 }) => {
+      const draw = name => Math.max(0, models[name].mean + models[name].sd * normal(random));
+      const score1 = draw(team1);
+      const score2 = draw(team2);
+
+      rows[team1].pf += score1;
+      rows[team1].pa += score2;
+      rows[team2].pf += score2;
+      rows[team2].pa += score1;
+      if (score1 > score2) {
+        rows[team1].wins++;
+        rows[team2].losses++;
+      } else if (score2 > score1) {
+        rows[team2].wins++;
+        rows[team1].losses++;
+      } else {
+        rows[team1].ties++;
+        rows[team2].ties++;
+      }
+      return { week, team1, team2, score1, score2 };
+    });
+
+    if (settings.medianGame) {
+      // each simulated team's median game, against every score that week (played or simulated)
+      new Set(simulated.map(g => g.week)).forEach(week => {
+        const scores = {};
+        [...games, ...simulated].filter(g => g.week === week).forEach(({ team1, team2, score1, score2 }) => {
+          scores[team1] = score1;
+          scores[team2] = score2;
+        });
+        const results = getMedianResults(scores);
+        simulated.filter(g => g.week === week).forEach(({ team1, team2 }) => {
+          [team1, team2].forEach(name => {
+            const key = results[name] === 'win' ? 'wins' : results[name] === 'loss' ? 'losses' : 'ties';
+            rows[name][key]++;
+          });
+        });
+      });
+    }
+
+    // a finished season keeps its recorded places (older seasons were entered by hand)
+    const ranked = remaining.length === 0 && season.standings?.length === teams.length
+      ? [...season.standings].sort((a, b) => a.place - b.place)
+      : rankStandings(Object.values(rows), {
+        games: [...games, ...simulated],
+        order: settings.tiebreakers,
+        seed
+      });
+
+    ranked.forEach(({ name }, idx) => {
+      const place = idx + 1;
+      const count = counts[name];
+      count.places += place;
+      if (place === 1) count.first++;
+      if (place <= settings.playoffTeams) count.playoff++;
+      if (settings.playoffTeams > 0 && place <= settings.byes) count.bye++;
+      if (settings.toiletTeams > 0 && place >= toiletFrom) count.toilet++;
+    });
+  }
+
+  const percent = value => round1((value / runs) * 100);
+  return {
+    simulations: runs,
+    remainingGames: remaining.length,
+    teams: names.map(name => ({
+      name,
+      playoff: percent(counts[name].playoff),
+      bye: percent(counts[name].bye),
+      toilet: percent(counts[name].toilet),
+      first: percent(counts[name].first),
+      averagePlace: Math.round((counts[name].places / runs) * 100) / 100
+    })).sort((a, b) => a.averagePlace - b.averagePlace)
+  };
+}
@@ -0,0 +1,351 @@
+// ===============================
+// PLAYOFF & TOILET BOWL BRACKETS
+// ===============================
+import { getSettings, getPlayoffWeeks } from "./settings.js";
+
+function seedLabel(seed) {
+  return `#${seed} SEED`;
+}
+
+function getSeeds(standings) {
+  return [...standings]
+    .sort((a, b) => a.place - b.place)
+    .map(team => team.name);
+}
+
+function slot(team1, team2, status, label) {
+  return { team1, team1Score: null, team2, team2Score: null, status, label };
+}
+
+function playoffRoundName(games) {
+  if (games === 1) return 'Championship';
+  if (games === 2) return 'Semifinal';
+  if (games === 4) return 'Quarterfinal';
+  return `Round of ${games * 2}`;
+}
+
+function toiletRoundName(games) {
+  return games === 1 ? 'Toilet Bowl Championship' : 'Toilet Bowl';
+}
+
+/**
+ * Listing order for first-round slots: standard bracket halves,
+ * with the bottom half mirrored so the #2 seed comes last (1, 4, 3, 2)
+ */
+function bracketOrder(slots) {
+  let order = [1];
+  while (order.length < slots) {
+    const size = order.length * 2;
+    order = order.flatMap(seed => [seed, size + 1 - seed]);
+  }
+  const half = order.length / 2;
+  return order.length < 2 ? order : [...order.slice(0, half), ...order.slice(half).reverse()];
+}
+
+/**
+ * Build the first playoff week from the final regular-season standings
+ * Using the season's settings:
+ *   playoff: top seeds on a bye, the rest paired best vs worst (1 vs BYE, 4 vs 5, 3 vs 6, 2 vs BYE)
+ *   toilet:  bottom seeds paired best vs worst (9 vs 12, 10 vs 11)
+ *   out:     everyone in between, paired 7 vs 8, ... (when consolation games are on)
+ *
+ * @param {Array} standings - season.standings with `place` set
+ * @param {Object} settings - resolved season settings
+ * @returns {Array} first playoff week matchups
+ */
+export function seedFirstRound(standings, settings) {
+  const { playoffTeams, byes, toiletTeams, consolation } = settings;
+  const seeds = getSeeds(standings);
+
+  const teamCount = seeds.length;
+  if (teamCount < playoffTeams + toiletTeams) {
+    throw new Error(`Seeding needs at least ${playoffTeams + toiletTeams} teams`);
+  }
+
+  const team = seed => seeds[seed - 1];
+  const game = (seed1, seed2, status, round) => {
+    const label = `${seedLabel(seed1)} vs ${seed2 === null ? 'BYE' : seedLabel(seed2)}`;
+    return slot(team(seed1), seed2 === null ? 'BYE' : team(seed2), status, round ? `${round} - ${label}` : label);
+  };
+
+  const matchups = [];
+
+  // playoff: slot N is the Nth best team left after the first round
+  if (playoffTeams > 0) {
+    const slots = byes + (playoffTeams - byes) / 2;
+    const round = playoffRoundName(slots);
+    bracketOrder(slots).forEach(s => {
+      matchups.push(s <= byes
+        ? game(s, null, 'playoff', round)
+        : game(s, playoffTeams + byes + 1 - s, 'playoff', round));
+    });
+  }
+
+  // toilet bowl: worst teams, best of them plays the very worst
+  const toiletTop = teamCount - toiletTeams + 1;
+  for (let k = 0; k < toiletTeams / 2; k++) {
+    matchups.push(game(toiletTop + k, teamCount - k, 'toilet', toiletRoundName(toiletTeams / 2)));
+  }
+
+  // consolation games for the teams in between
+  if (consolation) {
+    for (let seed = playoffTeams + 1; seed < toiletTop; seed += 2) {
+      matchups.push(game(seed, seed + 1 < toiletTop ? seed + 1 : null, 'out'));
+    }
+  }
+
+  return matchups;
+}
+
+// ===============================
+// BRACKET ADVANCEMENT
+// ===============================
+
+/**
+ * Decide a finished game
+ * Ties go to the better (lower) seed
+ *
+ * @returns {{ winner: string, loser: string } | null} null until both scores are in
+ */
+function decide(matchup, seedOf) {
+  if (!matchup || !matchup.team1) return null;
+
+  // a bye always advances the real team
+  if (matchup.team2 === 'BYE') return { winner: matchup.team1, loser: null };
+  if (!matchup.team2 || matchup.team1Score == null || matchup.team2Score == null) return null;
+
+  const score1 = parseFloat(matchup.team1Score);
+  const score2 = parseFloat(matchup.team2Score);
+  let team1Wins = score1 > score2;
+  if (score1 === score2) team1Wins = seedOf(matchup.team1) < seedOf(matchup.team2);
+
+  return team1Wins
+    ? { winner: matchup.team1, loser: matchup.team2 }
+    : { winner: matchup.team2, loser: matchup.team1 };
+}
+
+/**
+ * Pair teams best seed vs worst seed, reseeded every round
+ */
+function pairBestWorst(names, seedOf) {
+  const sorted = [...names].sort((a, b) => seedOf(a) - seedOf(b));
+  const pairs = [];
+  while (sorted.length > 1) pairs.push([sorted.shift(), sorted.pop()]);
+  if (sorted.length === 1) pairs.push([sorted[0], 'BYE']);
+  return pairs;
+}
+
+/**
+ * Same as pairBestWorst, but skip last week's opponent when there's anyone else left
+ */
+function pairAvoidingRematches(names, seedOf, previousMatchups) {
+  const playedLastWeek = (a, b) => previousMatchups.some(m =>
+    (m.team1 === a && m.team2 === b) || (m.team1 === b && m.team2 === a)
+  );
+
+  const pool = [...names].sort((a, b) => seedOf(a) - seedOf(b));
+  const pairs = [];
+  while (pool.length > 1) {
+    const best = pool.shift();
+    let idx = pool.length - 1;
+    while (idx > 0 && playedLastWeek(best, pool[idx])) idx--;
+    pairs.push([best, pool.splice(idx, 1)[0]]);
+  }
+  if (pool.length === 1) pairs.push([pool[0], 'BYE']);
+  return pairs;
+}
+
+/**
+ * Who goes through from one bracket's games
+ *
+ * @param {string} side - 'winner' for the playoffs, 'loser' for the toilet bowl
+ * @returns {{ decided: boolean, advancing: string[], eliminated: string[], candidates: Array }}
+ */
+function advanceBracket(games, side, seedOf) {
+  const other = side === 'winner' ? 'loser' : 'winner';
+  const advancing = [];
+  const eliminated = [];
+  const candidates = []; // { name, certain } - everyone who could still go through
+
+  games.forEach(game => {
+    const result = decide(game, seedOf);
+    if (result) {
+      if (result[side]) {
+        advancing.push(result[side]);
+        candidates.push({ name: result[side], certain: true });
+      }
+      if (result[other]) eliminated.push(result[other]);
+    } else {
+      [game.team1, game.team2].filter(name => name && name !== 'BYE')
+        .forEach(name => candidates.push({ name, certain: false }));
+    }
+  });
+
+  candidates.sort((a, b) => seedOf(a.name) - seedOf(b.name));
+  return { decided: advancing.length === games.length, advancing, eliminated, candidates };
+}
+
+/**
+ * Label a game with its round and the teams' seeds
+ */
+function seededSlot(team1, team2, status, round, seedOf) {
+  const describe = name => name === 'BYE' ? 'BYE' : name ? seedLabel(seedOf(name)) : 'TBD';
+  return slot(team1, team2, status, `${round} - ${describe(team1)} vs ${describe(team2)}`);
+}
+
+/**
+ * Build the next playoff week from the previous week's results
+ * Playoff teams are reseeded each round: the best seed left plays the worst.
+ * The toilet bowl advances its losers - the final's loser is the toilet bowl champ.
+ * Until a round is finished only the teams already certain of their place are filled in.
+ */
+function buildNextRound(previous, seeds, seedOf, settings) {
+  const playoff = advanceBracket(previous.filter(m => m.status === 'playoff'), 'winner', seedOf);
+  const toilet = advanceBracket(previous.filter(m => m.status === 'toilet'), 'loser', seedOf);
+
+  // every game sends one team through, so each round has half as many
+  const playoffGames = Math.floor(previous.filter(m => m.status === 'playoff').length / 2);
+  const toiletGames = Math.floor(previous.filter(m => m.status === 'toilet').length / 2);
+
+  const matchups = [];
+
+  const addBracket = (bracket, games, status, round) => {
+    if (games === 0) return;
+    if (bracket.decided) {
+      pairBestWorst(bracket.advancing, seedOf)
+        .forEach(([a, b]) => matchups.push(seededSlot(a, b, status, round, seedOf)));
+      return;
+    }
+    // the top seeds are known once every better candidate has gone through
+    const firstUnknown = bracket.candidates.findIndex(c => !c.certain);
+    for (let idx = 0; idx < games; idx++) {
+      matchups.push(seededSlot(idx < firstUnknown ? bracket.candidates[idx].name : null, null, status, round, seedOf));
+    }
+  };
+
+  addBracket(playoff, playoffGames, 'playoff', playoffRoundName(playoffGames));
+  addBracket(toilet, toiletGames, 'toilet', toiletRoundName(toiletGames));
+
+  if (!settings.consolation) return matchups;
+
+  // consolation: everyone not in a bracket game this week
+  const inBrackets = 2 * (playoffGames + toiletGames);
+  const outCount = seeds.length - inBrackets;
+  if (outCount <= 0) return matchups;
+
+  if (!playoff.decided || !toilet.decided) {
+    for (let idx = 0; idx < Math.ceil(outCount / 2); idx++) matchups.push(slot(null, null, 'out', 'Consolation'));
+    return matchups;
+  }
+
+  const busy = new Set(matchups.flatMap(m => [m.team1, m.team2]));
+  const knockedOut = playoff.eliminated;
+  const rest = seeds.filter(name => !busy.has(name) && !knockedOut.includes(name));
+
+  // teams just knocked out of the playoffs play each other (third place before the final)
+  const knockoutRound = playoffGames === 1 ? 'Third Place' : 'Consolation';
+  if (knockedOut.length % 2 === 1) rest.push(knockedOut.pop());
+  pairBestWorst(knockedOut, seedOf)
+    .forEach(([a, b]) => matchups.push(seededSlot(a, b, 'out', knockoutRound, seedOf)));
+
+  pairAvoidingRematches(rest, seedOf, previous)
+    .forEach(([a, b]) => matchups.push(seededSlot(a, b, 'out', 'Consolation', seedOf)));
+
+  return matchups;
+}
+
+function hasScores(week) {
+  return (week?.matchups || []).some(m =>
+    (m.team1Score != null && m.team2 !== 'BYE') || m.team2Score != null
+  );
+}
+
+/**
+ * Push results from a saved playoff week into the following rounds
+ * Rounds that already have scores are left alone so played games are never rewritten.
+ *
+ * @param {Object} season - season object with weeks and standings (seeds = standings place)
+ * @param {number} weekNum - the week that was just saved
+ * @returns {number[]} weeks that were rebuilt
+ */
+export function advancePlayoffs(season, weekNum) {
+  const settings = getSettings(season);
+  const playoffWeeks = getPlayoffWeeks(settings);
+  const position = playoffWeeks.indexOf(Number(weekNum));
+  if (position === -1 || position === playoffWeeks.length - 1) return [];
+
+  const firstWeek = season.weeks?.[playoffWeeks[0]];
+  if (!season.standings || !firstWeek) return [];
+
+  const seeds = getSeeds(season.standings);
+  if (seeds.length < settings.playoffTeams + settings.toiletTeams) return [];
+
+  const seedOf = name => {
+    const idx = seeds.indexOf(name);
+    return idx === -1 ? Infinity : idx + 1;
+  };
+
+  // the first round has to be seeded before anything can advance
+  if (!(firstWeek.matchups || []).some(m => m.status === 'playoff' && m.team1)) return [];
+
+  const updated = [];
+
+  for (let idx = position + 1; idx < playoffWeeks.length; idx++) {
+    const week = playoffWeeks[idx];
+    const previous = season.weeks[playoffWeeks[idx - 1]];
+    if (!previous || hasScores(season.weeks[week])) continue;
+
+    season.weeks[week] = { matchups: buildNextRound(previous.matchups || [], seeds, seedOf, settings) };
+    updated.push(week);
+  }
+
+  return updated;
+}
+
+// ===============================
+// DERIVED PLAYOFF RESULTS
+// ===============================
+
+/**
+ * Work out playoff flags from the playoff-week games
+ *   made      - played (or had a bye) in any playoff game
+ *   rounds    - number of playoff weeks the team reached
+ *   pChampion - won the last week's playoff game
+ *
+ * @param {Object} season - season with weeks and placed standings
+ * @returns {Object|null} { [name]: { made, rounds, pChampion } }, null when no playoff games are entered
+ */
+export function derivePlayoffResults(season) {
+  const playoffWeeks = getPlayoffWeeks(getSettings(season));
+  const reached = {};
+
+  playoffWeeks.forEach(weekNum => {
+    (season.weeks?.[weekNum]?.matchups || [])
+      .filter(m => m.status === 'playoff')
+      .forEach(m => {
+        [m.team1, m.team2].forEach(name => {
+          if (!name || name === 'BYE') return;
+          if (!reached[name]) reached[name] = new Set();
+          reached[name].add(weekNum);
+        });
+      });
+  });
+
+  if (Object.keys(reached).length === 0) return null;
+
+  const places = Object.fromEntries((season.standings || []).map(t => [t.name, t.place]));
+  const lastWeek = playoffWeeks[playoffWeeks.length - 1];
+  const final = (season.weeks?.[lastWeek]?.matchups || []).find(m => m.status === 'playoff');
+  const champion = decide(final, name => places[name] ?? Infinity)?.winner ?? null;
+
+  const results = {};
+  (season.teams || []).forEach(team => {
+    results[team.name] = {
+      made: Boolean(reached[team.name]),
+      rounds: reached[team.name]?.size || 0,
+      pChampion: team.name === champion
+    };
+  });
+
+  return results;
+}
@@ -0,0 +1,148 @@
+// ===============================
+// LEAGUE RECORD BOOK
+// Rebuilt from every matchup on each request, so it's never out of date
+// ===============================
+import { fromSide } from "./history.js";
+
+/**
+ * Top entries of a list by a value, keeping the earliest on ties
+ */
+function top(entries, limit, direction = 'desc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...entries]
+    .sort((a, b) => sign * (a.value - b.value) || a.year - b.year || (a.week || 0) - (b.week || 0))
+    .slice(0, limit);
+}
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * A game from the winner's side (team1's on a tie)
+ */
+function byWinner(game) {
+  const winnerIsTeam2 = game.score2 > game.score1;
+  return {
+    year: game.year,
+    week: game.week,
+    type: game.type,
+    name: winnerIsTeam2 ? game.team2 : game.team1,
+    opponent: winnerIsTeam2 ? game.team1 : game.team2,
+    score: Math.max(game.score1, game.score2),
+    opponentScore: Math.min(game.score1, game.score2)
+  };
+}
+
+/**
+ * Longest run of wins or losses for every manager, across seasons
+ * A tie ends both kinds of streak
+ */
+function getStreaks(games, result) {
+  const current = {};
+  const best = {};
+
+  games.forEach(game => {
+    [game.team1, game.team2].forEach(name => {
+      const side = fromSide(game, name);
+      const matches = result === 'win' ? side.score > side.opponentScore : side.score < side.opponentScore;
+      const at = { year: side.year, week: side.week };
+
+      if (!matches) {
+        current[name] = null;
+        return;
+      }
+      current[name] = current[name]
+        ? { ...current[name], value: current[name].value + 1, to: at }
+        : { name, value: 1, from: at, to: at };
+      if (current[name].value > (best[name]?.value || 0)) best[name] = current[name];
+    });
+  });
+
+  return Object.values(best).map(streak => ({ ...streak, year: streak.from.year, week: streak.from.week }));
+}
+
+/**
+ * Every record category, best entry first
+ *
+ * @param {Object} seasonsData - All seasons keyed by year (standings recalculated)
+ * @param {Array} games - collectGames output, oldest first
+ * @param {number} limit - Entries per category
+ * @returns {Array} [{ key, title, kind: 'game' | 'season' | 'streak', entries }]
+ */
+export function buildRecordBook(seasonsData, games, limit = 5) {
+  const sides = games.flatMap(game => [game.team1, game.team2].map(name => ({ ...fromSide(game, name), name })));
+  const decided = games.filter(game => game.score1 !== game.score2).map(byWinner);
+
+  // per game, so seasons of different lengths compare fairly (median games aren't extra scores)
+  const seasonRows = Object.keys(seasonsData).flatMap(year =>
+    (seasonsData[year].standings || [])
+      .map(row => {
+        const { wins = 0, losses = 0, ties = 0 } = row.h2hRecord || row;
+        return { row, games: wins + losses + ties };
+      })
+      .filter(({ row, games }) => row.pf > 0 && games > 0)
+      .map(({ row, games }) => ({ year: Number(year), week: null, name: row.name, team: row.team, value: round2(row.pf / games) }))
+  );
+
+  return [
+    {
+      key: 'highestScore',
+      title: 'Highest Single-Week Score',
+      kind: 'game',
+      entries: top(sides.map(s => ({ ...s, value: s.score })), limit)
+    },
+    {
+      key: 'lowestScore',
+      title: 'Lowest Single-Week Score',
+      kind: 'game',
+      entries: top(sides.map(s => ({ ...s, value: s.score })), limit, 'asc')
+    },
+    {
+      key: 'biggestBlowout',
+      title: 'Biggest Blowout',
+      kind: 'game',
+      entries: top(decided.map(g => ({ ...g, value: round2(g.score - g.opponentScore) })), limit)
+    },
+    {
+      key: 'closestGame',
+      title: 'Closest Game',
+      kind: 'game',
+      entries: top(games.map(byWinner).map(g => ({ ...g, value: round2(g.score - g.opponentScore) })), limit, 'asc')
+    },
+    {
+      key: 'highestCombined',
+      title: 'Highest Combined Score',
+      kind: 'game',
+      entries: top(games.map(byWinner).map(g => ({ ...g, value: round2(g.score + g.opponentScore) })), limit)
+    },
+    {
+      key: 'mostPointsInLoss',
+      title: 'Most Points in a Loss',
+      kind: 'game',
+      entries: top(sides.filter(s => s.score < s.opponentScore).map(s => ({ ...s, value: s.score })), limit)
+    },
+    {
+      key: 'bestSeasonPf',
+      title: 'Best Season PF per Game',
+      kind: 'season',
+      entries: top(seasonRows, limit)
+    },
+    {
+      key: 'worstSeasonPf',
+      title: 'Worst Season PF per Game',
+      kind: 'season',
+      entries: top(seasonRows, limit, 'asc')
+    },
+    {
+      key: 'longestWinStreak',
+      title: 'Longest Winning Streak',
+      kind: 'streak',
+      entries: top(getStreaks(games, 'win'), limit)
+    },
+    {
+      key: 'longestLosingStreak',
+      title: 'Longest Losing Streak',
+      kind: 'streak',
+      entries: top(getStreaks(games, 'loss'), limit)
+    }
+  ];
+}
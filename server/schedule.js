@@ -0,0 +1,218 @@
+// ===============================
+// REGULAR SEASON SCHEDULE GENERATOR
+// ===============================
+
+/**
+ * Seeded random number generator (mulberry32)
+ * same seed -> same schedule, so a preview can be accepted as-is
+ */
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), t | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, random) {
+  const result = [...list];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+/**
+ * Order teams so the first rivalry week's pairs all land in round 0
+ * The circle method pairs slot i with slot n-1-i in the first round
+ * Pairs naming a team that isn't on the roster are left out
+ */
+function placeRivals(names, pairs) {
+  const n = names.length;
+  const slots = new Array(n).fill(null);
+  const placed = new Set();
+
+  pairs.forEach(([a, b], idx) => {
+    if (idx >= n / 2 || placed.has(a) || placed.has(b)) return;
+    if (!names.includes(a) || !names.includes(b)) return;
+    slots[idx] = a;
+    slots[n - 1 - idx] = b;
+    placed.add(a);
+    placed.add(b);
+  });
+
+  const rest = names.filter(name => !placed.has(name));
+  return slots.map(slot => slot ?? rest.shift());
+}
+
+/**
+ * Build a single round robin with the circle method
+ * Returns n-1 rounds where every pair meets exactly once
+ */
+function buildRoundRobin(order) {
+  const n = order.length;
+  const rounds = [];
+  let rotation = [...order];
+
+  for (let r = 0; r < n - 1; r++) {
+    const round = [];
+    for (let i = 0; i < n / 2; i++) {
+      let home = rotation[i];
+      let away = rotation[n - 1 - i];
+
+      // alternate home/away so nobody is always team1
+      if ((r + i) % 2 === 1) [home, away] = [away, home];
+      // BYE is always listed second, like hand-entered weeks
+      if (home === 'BYE') [home, away] = [away, home];
+
+      round.push([home, away]);
+    }
+    rounds.push(round);
+
+    // keep slot 0 fixed, rotate everyone else one step clockwise
+    rotation = [rotation[0], rotation[n - 1], ...rotation.slice(1, n - 1)];
+  }
+
+  return rounds;
+}
+
+/**
+ * Read generator options from a request body
+ * weeks defaults to the season's regular-season length and can't run into the playoff weeks
+ *
+ * @param {Object} body - { weeks?, minRematchGap?, rivalryWeeks?, seed? }
+ * @param {number} regularSeasonWeeks - The season's settings.regularSeasonWeeks
+ * @returns {Object} { options } or { error } for a 400
+ */
+export function readScheduleOptions(body = {}, regularSeasonWeeks) {
+  let weeks = regularSeasonWeeks;
+  if (body.weeks != null && body.weeks !== '') {
+    weeks = Number(body.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > regularSeasonWeeks) {
+      return { error: `weeks must be a whole number from 1 to ${regularSeasonWeeks}` };
+    }
+  }
+
+  return {
+    options: {
+      weeks,
+      minRematchGap: body.minRematchGap != null && body.minRematchGap !== '' ? Number(body.minRematchGap) : undefined,
+      rivalryWeeks: Array.isArray(body.rivalryWeeks) ? body.rivalryWeeks : [],
+      seed: body.seed != null ? Number(body.seed) : undefined
+    }
+  };
+}
+
+/**
+ * Generate a balanced regular-season schedule
+ *
+ * @param {Array} teams - season.teams entries (only `name` is used)
+ * @param {Object} options
+ * @param {number} options.weeks - number of regular-season weeks (default 14)
+ * @param {number} options.minRematchGap - fewest weeks allowed between two meetings of the same pair
+ * @param {Array} options.rivalryWeeks - [{ week, pairs: [[nameA, nameB], ...] }]
+ * @param {number} options.seed - random seed, generated when omitted
+ * @returns {{ weeks: Object, seed: number, warnings: string[] }}
+ */
+export function generateSchedule(teams, options = {}) {
+  const names = teams.map(t => t.name);
+  const totalWeeks = Number(options.weeks) || 14;
+  const seed = Number.isInteger(options.seed) ? options.seed : Math.floor(Math.random() * 2 ** 31);
+  const rivalryWeeks = (options.rivalryWeeks || [])
+    .filter(r => r && Number(r.week) >= 1 && Number(r.week) <= totalWeeks && Array.isArray(r.pairs))
+    .map(r => ({ week: Number(r.week), pairs: r.pairs.filter(p => Array.isArray(p) && p[0] && p[1]) }))
+    .filter(r => r.pairs.length > 0);
+  const warnings = [];
+
+  // odd team count -> somebody sits each week
+  const pool = names.length % 2 === 1 ? [...names, 'BYE'] : [...names];
+  const roundCount = pool.length - 1;
+  const minRematchGap = Number.isInteger(options.minRematchGap)
+    ? options.minRematchGap
+    : Math.ceil(roundCount / 2);
+
+  const random = createRandom(seed);
+  const order = placeRivals(shuffle(pool, random), rivalryWeeks[0]?.pairs || []);
+  const rounds = buildRoundRobin(order);
+
+  // which round holds each pair
+  const roundOfPair = {};
+  rounds.forEach((round, idx) => {
+    round.forEach(([a, b]) => { roundOfPair[pairKey(a, b)] = idx; });
+  });
+
+  // rivalry week -> the round it has to use
+  const forcedRounds = {};
+  rivalryWeeks.forEach(({ week, pairs }) => {
+    const wanted = new Set(pairs.map(([a, b]) => roundOfPair[pairKey(a, b)]));
+    if (wanted.has(undefined)) {
+      warnings.push(`Week ${week}: rivalry includes a team that is not on the roster`);
+      wanted.delete(undefined);
+    }
+    if (wanted.size === 0) return;
+    if (wanted.size > 1) {
+      warnings.push(`Week ${week}: rivalry pairs fall in different rounds, only ${pairs[0].join(' vs ')} is guaranteed`);
+    }
+    forcedRounds[week] = roundOfPair[pairKey(...pairs[0])] ?? [...wanted][0];
+  });
+
+  // assign a round to each week, one full round robin per cycle
+  const lastUsed = new Array(roundCount).fill(-Infinity);
+  const weekRounds = {};
+  let usedThisCycle = new Set();
+
+  for (let week = 1; week <= totalWeeks; week++) {
+    if ((week - 1) % roundCount === 0) usedThisCycle = new Set();
+
+    const cycleEnd = Math.min(week - 1 - ((week - 1) % roundCount) + roundCount, totalWeeks);
+    let round = forcedRounds[week];
+
+    if (round === undefined) {
+      // hold back rounds that a later rivalry week in this cycle needs
+      const reserved = new Set();
+      for (let w = week + 1; w <= cycleEnd; w++) {
+        if (forcedRounds[w] !== undefined) reserved.add(forcedRounds[w]);
+      }
+
+      // prefer the round played longest ago to spread out rematches
+      const candidates = [...Array(roundCount).keys()]
+        .filter(r => !usedThisCycle.has(r) && !reserved.has(r));
+      const fallback = [...Array(roundCount).keys()].filter(r => !reserved.has(r));
+      round = (candidates.length ? candidates : fallback)
+        .sort((a, b) => lastUsed[a] - lastUsed[b] || a - b)[0];
+    } else if (usedThisCycle.has(round)) {
+      warnings.push(`Week ${week}: rivalry repeats a round already played this cycle`);
+    }
+
+    weekRounds[week] = round;
+    usedThisCycle.add(round);
+    lastUsed[round] = week;
+  }
+
+  // build matchups and check rematch spacing
+  const lastMeeting = {};
+  const weeks = {};
+
+  for (let week = 1; week <= totalWeeks; week++) {
+    weeks[week] = {
+      matchups: rounds[weekRounds[week]].map(([team1, team2]) => {
+        const key = pairKey(team1, team2);
+        if (team2 !== 'BYE' && lastMeeting[key] && week - lastMeeting[key] < minRematchGap) {
+          warnings.push(`Week ${week}: ${team1} vs ${team2} rematch after ${week - lastMeeting[key]} weeks`);
+        }
+        lastMeeting[key] = week;
+
+        return { team1, team1Score: null, team2, team2Score: null };
+      })
+    };
+  }
+
+  return { weeks, seed, warnings };
+}
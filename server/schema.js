@@ -0,0 +1,189 @@
+// ===============================
+// LEAGUE DATA SCHEMA
+// Every check returns a list of { path, message } - an empty list means valid
+// ===============================
+import { validateSettings } from "./settings.js";
+
+export const TEAM_STATES = ['active', 'inactive', 'jake2020', 'botted'];
+export const MATCHUP_STATUSES = ['playoff', 'toilet', 'out'];
+
+const STAT_FIELDS = ['wins', 'losses', 'ties', 'pf', 'pa'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isBlank = value => value === null || value === undefined || value === '';
+const isScore = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Check one week of matchups against the season's managers
+ * Blank teams and scores are allowed - weeks are filled in as they're played
+ *
+ * @param {Array} matchups - week.matchups
+ * @param {Array<string>} teamNames - season.teams names
+ * @param {string} path - Prefix for error paths
+ */
+export function validateMatchups(matchups, teamNames, path = 'matchups') {
+  if (!Array.isArray(matchups)) return [{ path, message: 'must be an array' }];
+
+  const errors = [];
+  const known = new Set(teamNames);
+  const seen = new Map(); // team -> path where it first appeared
+
+  matchups.forEach((matchup, idx) => {
+    const at = `${path}.${idx}`;
+    if (!isObject(matchup)) {
+      errors.push({ path: at, message: 'must be an object' });
+      return;
+    }
+
+    ['team1', 'team2'].forEach(field => {
+      const team = matchup[field];
+      if (isBlank(team)) return;
+
+      if (typeof team !== 'string') {
+        errors.push({ path: `${at}.${field}`, message: 'must be a manager name' });
+      } else if (team === 'BYE') {
+        if (field === 'team1') errors.push({ path: `${at}.${field}`, message: 'BYE must be team2' });
+      } else if (!known.has(team)) {
+        errors.push({ path: `${at}.${field}`, message: `"${team}" is not a team in this season` });
+      } else if (seen.has(team)) {
+        errors.push({ path: `${at}.${field}`, message: `"${team}" already plays in ${seen.get(team)}` });
+      } else {
+        seen.set(team, `matchup ${idx + 1}`);
+      }
+    });
+
+    ['team1Score', 'team2Score'].forEach(field => {
+      if (!isBlank(matchup[field]) && !isScore(matchup[field])) {
+        errors.push({ path: `${at}.${field}`, message: 'must be a non-negative number' });
+      }
+    });
+
+    if (!isBlank(matchup.status) && !MATCHUP_STATUSES.includes(matchup.status)) {
+      errors.push({ path: `${at}.status`, message: `must be one of ${MATCHUP_STATUSES.join(', ')}` });
+    }
+    if (!isBlank(matchup.label) && typeof matchup.label !== 'string') {
+      errors.push({ path: `${at}.label`, message: 'must be a string' });
+    }
+  });
+
+  return errors;
+}
+
+function validateTeam(team, path) {
+  if (!isObject(team)) return [{ path, message: 'must be an object' }];
+
+  const errors = [];
+  if (typeof team.name !== 'string' || !team.name.trim()) {
+    errors.push({ path: `${path}.name`, message: 'is required' });
+  }
+  if (!isBlank(team.team) && typeof team.team !== 'string') {
+    errors.push({ path: `${path}.team`, message: 'must be a string' });
+  }
+  if (!isBlank(team.division) && typeof team.division !== 'string') {
+    errors.push({ path: `${path}.division`, message: 'must be a string' });
+  }
+  if (!TEAM_STATES.includes(team.state)) {
+    errors.push({ path: `${path}.state`, message: `must be one of ${TEAM_STATES.join(', ')}` });
+  }
+
+  // playoff metadata
+  if (team.playoff !== undefined) {
+    const { made, rounds, pChampion } = team.playoff || {};
+    if (typeof made !== 'boolean') errors.push({ path: `${path}.playoff.made`, message: 'must be true or false' });
+    if (!Number.isInteger(rounds) || rounds < 0) {
+      errors.push({ path: `${path}.playoff.rounds`, message: 'must be a whole number of rounds' });
+    }
+    if (typeof pChampion !== 'boolean') errors.push({ path: `${path}.playoff.pChampion`, message: 'must be true or false' });
+  }
+  if (team.rChampion !== undefined && typeof team.rChampion !== 'boolean') {
+    errors.push({ path: `${path}.rChampion`, message: 'must be true or false' });
+  }
+
+  return errors;
+}
+
+function validateStandingsRow(row, teamNames, path) {
+  if (!isObject(row)) return [{ path, message: 'must be an object' }];
+
+  const errors = [];
+  if (!teamNames.includes(row.name)) {
+    errors.push({ path: `${path}.name`, message: `"${row.name}" is not a team in this season` });
+  }
+  STAT_FIELDS.forEach(field => {
+    if (row[field] !== undefined && !isScore(row[field])) {
+      errors.push({ path: `${path}.${field}`, message: 'must be a non-negative number' });
+    }
+  });
+  ['place', 'prevPlace'].forEach(field => {
+    if (row[field] !== undefined && (!Number.isInteger(row[field]) || row[field] < 1)) {
+      errors.push({ path: `${path}.${field}`, message: 'must be a positive whole number' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check a whole season: teams, weeks and standings
+ * Expects migrated data (see migrations.js)
+ */
+export function validateSeason(season, path = 'season') {
+  if (!isObject(season)) return [{ path, message: 'must be an object' }];
+
+  const errors = [];
+
+  if (season.schemaVersion !== undefined && (!Number.isInteger(season.schemaVersion) || season.schemaVersion < 0)) {
+    errors.push({ path: `${path}.schemaVersion`, message: 'must be a whole number' });
+  }
+
+  if (!Array.isArray(season.teams) || season.teams.length === 0) {
+    return [{ path: `${path}.teams`, message: 'must list at least one team' }];
+  }
+  season.teams.forEach((team, idx) => errors.push(...validateTeam(team, `${path}.teams.${idx}`)));
+
+  const teamNames = season.teams.map(t => t?.name);
+  teamNames.forEach((name, idx) => {
+    if (name && teamNames.indexOf(name) !== idx) {
+      errors.push({ path: `${path}.teams.${idx}.name`, message: `duplicate manager "${name}"` });
+    }
+  });
+
+  if (season.settings !== undefined) {
+    errors.push(...validateSettings(season.settings, season.teams.length, `${path}.settings`));
+  }
+
+  if (season.weeks !== undefined) {
+    if (!isObject(season.weeks)) {
+      errors.push({ path: `${path}.weeks`, message: 'must be an object keyed by week number' });
+    } else {
+      Object.entries(season.weeks).forEach(([weekNum, week]) => {
+        const at = `${path}.weeks.${weekNum}`;
+        if (!/^[1-9]\d*$/.test(weekNum)) errors.push({ path: at, message: 'week keys must be positive numbers' });
+        errors.push(...validateMatchups(week?.matchups, teamNames, `${at}.matchups`));
+      });
+    }
+  }
+
+  if (season.standings !== undefined) {
+    if (!Array.isArray(season.standings)) {
+      errors.push({ path: `${path}.standings`, message: 'must be an array' });
+    } else {
+      season.standings.forEach((row, idx) => {
+        errors.push(...validateStandingsRow(row, teamNames, `${path}.standings.${idx}`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check the full seasons.json contents (keyed by four-digit year)
+ */
+export function validateSeasonsData(data) {
+  if (!isObject(data)) return [{ path: '', message: 'must be an object keyed by year' }];
+
+  return Object.entries(data).flatMap(([year, season]) => [
+    ...(/^\d{4}$/.test(year) ? [] : [{ path: year, message: 'season keys must be four-digit years' }]),
+    ...validateSeason(season, year)
+  ]);
+}
@@ -0,0 +1,124 @@
+// ===============================
+// PER-SEASON LEAGUE SETTINGS
+// ===============================
+import { TIEBREAKERS, DEFAULT_TIEBREAKERS } from "./tiebreakers.js";
+
+// the format the league has used since 2021
+export const DEFAULT_SETTINGS = {
+  regularSeasonWeeks: 14,
+  playoffTeams: 6,
+  byes: 2,
+  toiletTeams: 4,
+  consolation: true,
+  medianGame: false, // every team also plays the week's median score in the regular season
+  tiebreakers: [...DEFAULT_TIEBREAKERS]
+};
+
+const isPowerOfTwo = n => Number.isInteger(n) && n >= 1 && (n & (n - 1)) === 0;
+
+/**
+ * Only the known settings fields from a request body
+ */
+export function pickSettings(input = {}) {
+  return Object.fromEntries(Object.keys(DEFAULT_SETTINGS)
+    .filter(key => input[key] !== undefined)
+    .map(key => [key, input[key]]));
+}
+
+/**
+ * A season's settings with defaults filled in
+ */
+export function getSettings(season) {
+  return { ...DEFAULT_SETTINGS, ...(season?.settings || {}) };
+}
+
+/**
+ * Number of playoff weeks: a first round where the byes sit out, then halving to a final
+ */
+export function getPlayoffRounds(settings) {
+  const { playoffTeams, byes } = settings;
+  if (playoffTeams < 2) return 0;
+  return 1 + Math.log2(byes + (playoffTeams - byes) / 2);
+}
+
+export function getPlayoffWeeks(settings) {
+  return Array.from({ length: getPlayoffRounds(settings) }, (_, idx) => settings.regularSeasonWeeks + 1 + idx);
+}
+
+export function getTotalWeeks(settings) {
+  return settings.regularSeasonWeeks + getPlayoffRounds(settings);
+}
+
+export function isRegularSeasonWeek(settings, weekNum) {
+  return Number(weekNum) <= settings.regularSeasonWeeks;
+}
+
+/**
+ * Weeks that would change between regular season, playoffs and neither under new settings
+ */
+export function getReclassifiedWeeks(before, after, weekNums) {
+  const weekType = (settings, weekNum) => {
+    if (isRegularSeasonWeek(settings, weekNum)) return 'regular';
+    return getPlayoffWeeks(settings).includes(Number(weekNum)) ? 'playoff' : null;
+  };
+  return weekNums.filter(weekNum => weekType(before, weekNum) !== weekType(after, weekNum));
+}
+
+/**
+ * Check settings make a bracket that works for the given number of teams
+ *
+ * @returns {Array} [{ path, message }] like the schema checks
+ */
+export function validateSettings(settings, teamCount, path = 'settings') {
+  const { regularSeasonWeeks, playoffTeams, byes, toiletTeams, consolation, medianGame, tiebreakers } = settings || {};
+  const errors = [];
+  const wholeNumber = (field, value, min) => {
+    if (!Number.isInteger(value) || value < min) {
+      errors.push({ path: `${path}.${field}`, message: `must be a whole number of at least ${min}` });
+    }
+  };
+
+  wholeNumber('regularSeasonWeeks', regularSeasonWeeks, 1);
+  wholeNumber('playoffTeams', playoffTeams, 0);
+  wholeNumber('byes', byes, 0);
+  wholeNumber('toiletTeams', toiletTeams, 0);
+  if (typeof consolation !== 'boolean') {
+    errors.push({ path: `${path}.consolation`, message: 'must be true or false' });
+  }
+  if (medianGame !== undefined && typeof medianGame !== 'boolean') {
+    errors.push({ path: `${path}.medianGame`, message: 'must be true or false' });
+  }
+  if (tiebreakers !== undefined && (
+    !Array.isArray(tiebreakers) || tiebreakers.length === 0 ||
+    tiebreakers.some(rule => !TIEBREAKERS.includes(rule)) || new Set(tiebreakers).size !== tiebreakers.length
+  )) {
+    errors.push({ path: `${path}.tiebreakers`, message: `must list each rule at most once from ${TIEBREAKERS.join(', ')}` });
+  }
+  if (errors.length > 0) return errors;
+
+  if (playoffTeams > 0) {
+    const firstRoundGames = (playoffTeams - byes) / 2;
+    if (byes >= playoffTeams || !Number.isInteger(firstRoundGames) || !isPowerOfTwo(byes + firstRoundGames)) {
+      errors.push({
+        path: `${path}.byes`,
+        message: 'byes plus first-round winners must leave 1, 2, 4, 8... teams'
+      });
+    }
+  } else if (byes > 0) {
+    errors.push({ path: `${path}.byes`, message: 'needs playoff teams' });
+  }
+
+  if (toiletTeams > 0) {
+    if (!isPowerOfTwo(toiletTeams) || toiletTeams < 2) {
+      errors.push({ path: `${path}.toiletTeams`, message: 'must be 0, 2, 4, 8...' });
+    } else if (errors.length === 0 && Math.log2(toiletTeams) > getPlayoffRounds(settings)) {
+      errors.push({ path: `${path}.toiletTeams`, message: 'toilet bowl needs more rounds than the playoffs have' });
+    }
+  }
+
+  if (teamCount !== undefined && playoffTeams + toiletTeams > teamCount) {
+    errors.push({ path: `${path}.playoffTeams`, message: `playoff and toilet bowl teams exceed the ${teamCount} teams in the league` });
+  }
+
+  return errors;
+}
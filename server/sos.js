@@ -0,0 +1,57 @@
+// ===============================
+// STRENGTH OF SCHEDULE
+// How good the opponents a team has played, and has left to play, are
+// ===============================
+
+const round2 = value => Math.round(value * 100) / 100;
+const round3 = value => Math.round(value * 1000) / 1000;
+
+function winPct({ wins, losses, ties }) {
+  const games = wins + losses + ties;
+  return games ? (wins + 0.5 * ties) / games : 0;
+}
+
+/**
+ * Average win% and points-for per game of a list of opponents
+ * An opponent met twice counts twice
+ */
+function averageOpponent(opponents, rows) {
+  const faced = opponents.map(name => rows[name]).filter(Boolean);
+  if (faced.length === 0) return { games: 0, opponentWinPct: null, opponentPfpg: null };
+
+  // per head-to-head game - median results add to the record but not to the points
+  const pfpg = row => {
+    const { wins, losses, ties } = row.h2hRecord || row;
+    const games = wins + losses + ties;
+    return games ? row.pf / games : 0;
+  };
+  return {
+    games: faced.length,
+    opponentWinPct: round3(faced.reduce((sum, row) => sum + winPct(row), 0) / faced.length),
+    opponentPfpg: round2(faced.reduce((sum, row) => sum + pfpg(row), 0) / faced.length)
+  };
+}
+
+/**
+ * Past and remaining strength of schedule from the current standings
+ *
+ * @param {Array} rows - Standings rows: [{ name, wins, losses, ties, pf, h2hRecord? }]
+ * @param {Array} games - Played regular-season games: [{ team1, team2 }]
+ * @param {Array} remaining - Regular-season games still to play: [{ team1, team2 }]
+ * @returns {Object} { [name]: { past, remaining } }, each { games, opponentWinPct, opponentPfpg }
+ *   (win% and points are null with no games)
+ */
+export function computeStrengthOfSchedule(rows, games, remaining) {
+  const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+
+  const opponentsIn = (list, name) => list.flatMap(({ team1, team2 }) => {
+    if (team1 === name) return [team2];
+    if (team2 === name) return [team1];
+    return [];
+  });
+
+  return Object.fromEntries(rows.map(({ name }) => [name, {
+    past: averageOpponent(opponentsIn(games, name), byName),
+    remaining: averageOpponent(opponentsIn(remaining, name), byName)
+  }]));
+}
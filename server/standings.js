@@ -0,0 +1,241 @@
+// ===============================
+// SEASON STANDINGS
+// Records, places, all-play, strength of schedule and playoff results from the weekly matchups
+// ===============================
+import { getSettings, isRegularSeasonWeek } from "./settings.js";
+import { rankStandings } from "./tiebreakers.js";
+import { computeAllPlay, getLuck, getMedianResults } from "./luck.js";
+import { computeStrengthOfSchedule } from "./sos.js";
+import { getRemainingGames } from "./history.js";
+import { derivePlayoffResults } from "./playoffs.js";
+
+/**
+ * Recalculate a season's standings from its weekly matchup data
+ * Replaces season.standings, keeping hand-entered metadata; seasons without scores are left alone
+ *
+ * @param {Object} season - The season to update
+ * @param {number|string} year - The season year (seeds the coin-flip tiebreaker)
+ * @returns {Array} The standings after every regular-season week:
+ *   [{ week, standings: [{ name, place, change, wins, losses, ties, pf, pa }] }]
+ */
+export function recalculateSeasonStandings(season, year) {
+  if (!season || !season.teams) return [];
+
+  // Skip seasons without proper weeks structure
+  if (!season.weeks || typeof season.weeks !== 'object' || Array.isArray(season.weeks)) {
+    return [];
+  }
+
+  const settings = getSettings(season);
+
+  // Initialize team stats to zero
+  const stats = {};
+  season.teams.forEach(team => {
+    stats[team.name] = {
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      pf: 0,
+      pa: 0,
+      // bonus games against the weekly median (already included in wins/losses/ties)
+      median: { wins: 0, losses: 0, ties: 0 },
+      // playoff stats by status
+      playoffStats: {
+        playoff: { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0},
+        toilet: { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0},
+        out: { wins: 0, losses: 0, ties: 0, pf: 0, pa: 0}
+      }
+    };
+  });
+
+  // find weeks that have actual scores
+  const weeksWithScores = Object.keys(season.weeks)
+    .map(Number)
+    .filter(n => !isNaN(n))
+    .filter(weekNum => {
+      const w = season.weeks[weekNum];
+      if (!w || !w.matchups) return false;
+      return w.matchups.some(m =>
+        m.team1Score !== null && m.team2Score !== null &&
+        m.team1Score > 0 && m.team2Score > 0  
+      );
+    })
+    .sort((a, b) => a - b);
+
+  const timeline = []; // [{ week, standings: [{ name, place, change, ... }] }]
+  const games = []; // decided regular-season games, for tiebreakers and the all-play record
+  const rankOptions = { games, order: settings.tiebreakers, seed: year };
+
+  // process weeks in order
+  for (let i = 0; i < weeksWithScores.length; i++) {
+    const weekNum = weeksWithScores[i];
+    const weekData = season.weeks[weekNum];
+
+    if (!weekData || !weekData.matchups) continue;
+  
+    // determine if this is a playoff week (after the regular season)
+    const isPlayoffWeek = !isRegularSeasonWeek(settings, weekNum);
+
+    // process this week's matchups
+    weekData.matchups.forEach(matchup => {
+      // get scores - treat null/undefined as 0
+      const score1 = parseFloat(matchup.team1Score) || 0;
+      const score2 = parseFloat(matchup.team2Score) || 0;
+
+      const name1 = matchup.team1;
+      const name2 = matchup.team2;
+
+      // skip if either team doesn't exist in roster or is BYE
+      if (!stats[name1] || !stats[name2] || name1 === 'BYE' || 'name2' === 'BYE') return;
+      
+      let statBucket1, statBucket2;
+
+      if(!isPlayoffWeek) {
+        // regular week - use main stats
+        statBucket1 = stats[name1];
+        statBucket2 = stats[name2];
+      } else {
+        // playoff week - use status-specific bucket
+        const status = matchup.status || 'out'; //defaults to out
+        statBucket1 = stats[name1].playoffStats[status];
+        statBucket2 = stats[name2].playoffStats[status];
+      }
+
+      // accumulate points
+      statBucket1.pf += score1;
+      statBucket1.pa += score2;
+      statBucket2.pf += score2;
+      statBucket2.pa += score1;
+
+      // determine winner and update records
+      if (score1 > 0 && score2 > 0) {
+        if (!isPlayoffWeek) games.push({ week: weekNum, team1: name1, team2: name2, score1, score2 });
+
+        if (score1 > score2) {
+          statBucket1.wins++;
+          statBucket2.losses++;
+        } else if (score2 > score1) {
+          statBucket2.wins++;
+          statBucket1.losses++;
+        } else {
+          // tie game
+          statBucket1.ties++;
+          statBucket2.ties++;
+        }
+      }
+    });
+
+    // league-median mode: a second regular-season result from beating (or not) the week's median score
+    if (!isPlayoffWeek && settings.medianGame) {
+      const scores = {};
+      games.filter(g => g.week === weekNum).forEach(({ team1, team2, score1, score2 }) => {
+        scores[team1] = score1;
+        scores[team2] = score2;
+      });
+      Object.entries(getMedianResults(scores)).forEach(([name, result]) => {
+        const key = result === 'win' ? 'wins' : result === 'loss' ? 'losses' : 'ties';
+        stats[name][key]++;
+        stats[name].median[key]++;
+      });
+    }
+
+    // snapshot the standings after every regular-season week
+    if (!isPlayoffWeek) {
+      const previous = timeline[timeline.length - 1];
+      const ranked = rankStandings(season.teams.map(team => ({
+        name: team.name,
+        division: team.division,
+        ...stats[team.name]
+      })), rankOptions);
+
+      timeline.push({
+        week: weekNum,
+        standings: ranked.map(({ name, wins, losses, ties, pf, pa }, idx) => {
+          const prevPlace = previous?.standings.find(t => t.name === name).place ?? idx + 1;
+          return { name, place: idx + 1, change: prevPlace - (idx + 1), wins, losses, ties, pf, pa };
+        })
+      });
+    }
+  }
+
+  if (weeksWithScores.length === 0) {
+    return timeline;
+  } 
+
+  // all-play record: each regular-season week's scores against every other team's
+  const weeklyScores = {};
+  games.forEach(({ week, team1, team2, score1, score2 }) => {
+    weeklyScores[week] ??= {};
+    weeklyScores[week][team1] = score1;
+    weeklyScores[week][team2] = score2;
+  });
+  const allPlay = computeAllPlay(Object.values(weeklyScores));
+
+  // head-to-head games only, without the median results
+  const h2hRecords = Object.fromEntries(season.teams.map(team => {
+    const { wins, losses, ties, median } = stats[team.name];
+    return [team.name, { wins: wins - median.wins, losses: losses - median.losses, ties: ties - median.ties }];
+  }));
+
+  // strength of schedule: opponents played and still to play, rated by the current records
+  const remainingGames = getRemainingGames(season).filter(g => stats[g.team1] && stats[g.team2]);
+  const sos = computeStrengthOfSchedule(
+    season.teams.map(team => ({ name: team.name, ...stats[team.name], h2hRecord: h2hRecords[team.name] })),
+    games,
+    remainingGames
+  );
+
+  // Update standings array with calculated stats, ordered by the season's tiebreakers
+  season.standings = rankStandings(season.teams.map(team => {
+    // Preserve existing metadata (playoff info, championships, etc.)
+    const existingTeam = season.standings?.find(t => t.name === team.name) || {};
+
+    // luck compares the head-to-head record with the all-play record
+    const h2hRecord = h2hRecords[team.name];
+    const { median } = stats[team.name];
+
+    return {
+      ...team,
+      ...existingTeam,
+      wins: stats[team.name].wins,
+      losses: stats[team.name].losses,
+      ties: stats[team.name].ties,
+      pf: stats[team.name].pf,
+      pa: stats[team.name].pa,
+      playoffStats: stats[team.name].playoffStats,
+      allPlay: allPlay[team.name]?.allPlay || { wins: 0, losses: 0, ties: 0 },
+      expectedWins: allPlay[team.name]?.expectedWins || 0,
+      luck: getLuck(h2hRecord, allPlay[team.name]?.expectedWins || 0),
+      h2hRecord: settings.medianGame ? h2hRecord : null,
+      medianRecord: settings.medianGame ? median : null,
+      sos: sos[team.name]
+    };
+  }), rankOptions);
+
+  // Assign places based on sorted order; prevPlace is the place a week before the latest snapshot
+  const prevWeek = timeline[timeline.length - 2];
+  season.standings.forEach((team, idx) => {
+    const currentPlace = idx + 1;
+    const previousPlace = prevWeek?.standings.find(t => t.name === team.name).place || currentPlace;
+
+    team.place = currentPlace;
+    team.prevPlace = previousPlace;
+  });
+
+  // derive champions and playoff rounds from results instead of hand-entered flags
+  const regularSeasonDone = Object.keys(season.weeks)
+    .filter(weekNum => isRegularSeasonWeek(settings, weekNum))
+    .every(weekNum => (season.weeks[weekNum].matchups || []).every(m =>
+      m.team2 === 'BYE' || (m.team1Score != null && m.team2Score != null)
+    ));
+  const playoffResults = derivePlayoffResults(season);
+
+  season.standings.forEach(team => {
+    team.rChampion = regularSeasonDone && team.place === 1;
+    if (playoffResults) {
+      team.playoff = playoffResults[team.name];
+    }
+  });
+
+  return timeline;
+}
@@ -0,0 +1,69 @@
+// ===============================
+// CRASH-SAFE FILE WRITES
+// ===============================
+import fs from "fs";
+import path from "path";
+
+/**
+ * Write a file so readers only ever see the old or the new contents
+ * temp file -> fsync -> rename over the original -> fsync the directory
+ */
+export async function writeFileAtomic(file, contents) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+  const handle = await fs.promises.open(tmp, "w");
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.promises.rename(tmp, file);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+
+  // persist the rename itself (not supported on every platform)
+  try {
+    const dir = await fs.promises.open(path.dirname(file), "r");
+    await dir.sync().finally(() => dir.close());
+  } catch {
+    // best effort
+  }
+}
+
+/**
+ * Remove temp files left behind by a crash mid-write
+ */
+export function removeStaleTempFiles(file) {
+  const dir = path.dirname(file);
+  const prefix = `${path.basename(file)}.`;
+
+  fs.readdirSync(dir)
+    .filter(name => name.startsWith(prefix) && name.endsWith(".tmp"))
+    .forEach(name => fs.rmSync(path.join(dir, name), { force: true }));
+}
+
+/**
+ * Run async tasks one at a time, in the order they were queued
+ * A failed task rejects its own promise but doesn't block the ones after it
+ */
+export function createWriteQueue() {
+  let tail = Promise.resolve();
+  let pending = 0;
+
+  return {
+    push(task) {
+      pending++;
+      const run = tail.then(task).finally(() => { pending--; });
+      tail = run.catch(() => {});
+      return run;
+    },
+    get pending() {
+      return pending;
+    }
+  };
+}
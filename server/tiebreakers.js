@@ -0,0 +1,172 @@
+// ===============================
+// STANDINGS TIEBREAKERS
+// Rules run in the order set in league settings; each one only sees the teams still tied
+// ===============================
+
+const EPSILON = 1e-9;
+
+function formatRecord({ wins, losses, ties }) {
+  return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+function winPct({ wins, losses, ties }) {
+  const games = wins + losses + ties;
+  return games ? (wins + 0.5 * ties) / games : 0;
+}
+
+/**
+ * Record of one team in games against the given opponents
+ */
+function recordAgainst(name, opponents, games) {
+  const record = { wins: 0, losses: 0, ties: 0 };
+  games.forEach(({ team1, team2, score1, score2 }) => {
+    let own, other;
+    if (team1 === name && opponents.has(team2)) [own, other] = [score1, score2];
+    else if (team2 === name && opponents.has(team1)) [own, other] = [score2, score1];
+    else return;
+
+    if (own > other) record.wins++;
+    else if (own < other) record.losses++;
+    else record.ties++;
+  });
+  return record;
+}
+
+function othersIn(group, team) {
+  return new Set(group.filter(t => t.name !== team.name).map(t => t.name));
+}
+
+function divisionOpponents(team, context) {
+  return new Set(context.rows
+    .filter(t => t.name !== team.name && t.division === team.division)
+    .map(t => t.name));
+}
+
+/**
+ * FNV-1a hash - a fixed "coin flip" per season so standings don't change between recalculations
+ */
+function coinFlip(seed, name) {
+  let hash = 0x811c9dc5;
+  for (const char of `${seed}:${name}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Each rule scores a team within its tied group (higher is better)
+ * A null score means the rule can't separate this group and is skipped
+ */
+const RULES = {
+  winPct: {
+    label: 'Win %',
+    value: team => winPct(team),
+    describe: team => `record ${formatRecord(team)}`
+  },
+  headToHead: {
+    label: 'Head-to-head',
+    value(team, group, context) {
+      const record = recordAgainst(team.name, othersIn(group, team), context.games);
+      return record.wins + record.losses + record.ties > 0 ? winPct(record) : null;
+    },
+    describe: (team, group, context) =>
+      `head-to-head ${formatRecord(recordAgainst(team.name, othersIn(group, team), context.games))}`
+  },
+  pointsFor: {
+    label: 'Points for',
+    value: team => team.pf,
+    describe: team => `points for ${team.pf.toFixed(1)}`
+  },
+  pointsAgainst: {
+    label: 'Points against',
+    value: team => -team.pa,
+    describe: team => `points against ${team.pa.toFixed(1)}`
+  },
+  division: {
+    label: 'Division record',
+    value(team, group, context) {
+      if (!team.division || group.some(t => t.division !== team.division)) return null;
+      return winPct(recordAgainst(team.name, divisionOpponents(team, context), context.games));
+    },
+    describe: (team, group, context) =>
+      `division record ${formatRecord(recordAgainst(team.name, divisionOpponents(team, context), context.games))}`
+  },
+  coinFlip: {
+    label: 'Coin flip',
+    value: (team, group, context) => coinFlip(context.seed, team.name),
+    describe: () => 'coin flip'
+  }
+};
+
+export const TIEBREAKERS = Object.keys(RULES);
+
+// the league's order before tiebreakers were configurable: record, then points for
+export const DEFAULT_TIEBREAKERS = ['winPct', 'pointsFor', 'headToHead', 'pointsAgainst', 'division', 'coinFlip'];
+export const TIEBREAKER_LABELS = Object.fromEntries(TIEBREAKERS.map(key => [key, RULES[key].label]));
+
+/**
+ * Split a group into runs of equal value, best first
+ */
+function splitByValue(group, values) {
+  const runs = [];
+  group
+    .map((team, idx) => ({ team, value: values[idx] }))
+    .sort((a, b) => b.value - a.value)
+    .forEach(entry => {
+      const last = runs[runs.length - 1];
+      if (last && Math.abs(last[0].value - entry.value) < EPSILON) last.push(entry);
+      else runs.push([entry]);
+    });
+  return runs.map(run => run.map(entry => entry.team));
+}
+
+/**
+ * Order standings rows by the given rules
+ * The first rule ranks everyone; the rest only break ties left by the rules before them
+ *
+ * @param {Array} rows - [{ name, wins, losses, ties, pf, pa, division? }]
+ * @param {Object} options
+ * @param {Array} options.games - Decided games: [{ team1, team2, score1, score2 }]
+ * @param {Array<string>} options.order - Rule keys from TIEBREAKERS
+ * @param {number|string} options.seed - Coin flip seed (the season year)
+ * @returns {Array} Copies of the rows in order, each with a tiebreakReason (null if it wasn't tied)
+ */
+export function rankStandings(rows, { games = [], order = DEFAULT_TIEBREAKERS, seed = 0 } = {}) {
+  const context = { rows, games, seed };
+  const ranked = [];
+  const reasons = {};
+
+  function rank(group, ruleIdx, tied) {
+    if (group.length === 1) {
+      ranked.push(group[0]);
+      return;
+    }
+    if (ruleIdx >= order.length) {
+      group.forEach(team => {
+        reasons[team.name] = `Still tied with ${[...othersIn(group, team)].join(', ')} after every tiebreaker`;
+      });
+      ranked.push(...group);
+      return;
+    }
+
+    const rule = RULES[order[ruleIdx]];
+    const values = group.map(team => rule.value(team, group, context));
+    if (values.some(value => value === null)) {
+      rank(group, ruleIdx + 1, tied);
+      return;
+    }
+
+    const runs = splitByValue(group, values);
+    runs.forEach(run => {
+      if (tied && run.length === 1 && runs.length > 1) {
+        const [team] = run;
+        reasons[team.name] = `Tiebreak vs ${[...othersIn(group, team)].join(', ')}: ${rule.describe(team, group, context)}`;
+      }
+      rank(run, ruleIdx + 1, tied || run.length > 1);
+    });
+  }
+
+  rank(rows, 0, false);
+  return ranked.map(row => ({ ...row, tiebreakReason: reasons[row.name] || null }));
+}
@@ -1,5 +1,5 @@
 import React, { useState, useMemo, useEffect } from 'react';
-import { Trophy, TrendingUp, Medal, Edit } from 'lucide-react';
+import { Trophy, TrendingUp, Medal, Edit, LogIn, LogOut, Grid3X3, Swords, BookOpen } from 'lucide-react';
 
 // Import custom components
 import StatsCard from './components/StatsCard';
@@ -7,6 +7,13 @@ import AllTimeTable from './components/AllTimeTable';
 import SeasonTable from './components/SeasonTable';
 import EditSeasonPage from './components/EditSeasonPage';
 import PlayoffBracket from './components/PlayoffBracket';
+import HeadToHeadGrid from './components/HeadToHeadGrid';
+import RivalryPage from './components/RivalryPage';
+import ManagerProfile from './components/ManagerProfile';
+import RecordBook from './components/RecordBook';
+import StandingsTimeline from './components/StandingsTimeline';
+import WeeklyScoreChart from './components/WeeklyScoreChart';
+import LoginPage from './components/LoginPage';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
 
@@ -28,6 +35,16 @@ export default function App() {
   const [showFilterMenu, setShowFilterMenu] = useState(false);
   const [data, setData] = useState({});
   const [loading, setLoading] = useState(true);
+  const [token, setToken] = useState(() => localStorage.getItem('authToken'));
+  const [user, setUser] = useState(null);
+  const [rivalryPair, setRivalryPair] = useState(null); // { a, b } opened from the head-to-head grid
+  const [profileName, setProfileName] = useState(null); // manager opened from the all-time table
+  const [timeline, setTimeline] = useState([]); // standings after each week of the selected season
+  const [timelineWeek, setTimelineWeek] = useState(null); // week driving the change column (null = latest)
+  const [odds, setOdds] = useState(null); // simulated playoff odds for the selected season
+
+  const isCommissioner = user?.role === 'commissioner';
+  const authHeaders = token ? { Authorization: `Bearer ${token}` } : {};
   
   const years = Object.keys(data).map(Number).sort((a, b) => b - a);
   const [selectedYear, setSelectedYear] = useState(years[0] || 2025);
@@ -52,6 +69,37 @@ export default function App() {
     }
   }, [viewMode]);
 
+  /**
+   * Load the week-by-week standings and playoff odds whenever the season (or its data) changes
+   */
+  useEffect(() => {
+    setTimelineWeek(null);
+    if (viewMode === 'season' && selectedYear) {
+      fetchTimeline(selectedYear);
+      fetchOdds(selectedYear);
+    }
+  }, [selectedYear, data, viewMode]);
+
+  /**
+   * Restore the signed-in user from a saved token
+   */
+  useEffect(() => {
+    if (token) fetchCurrentUser();
+  }, []);
+
+  async function fetchCurrentUser() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/me`, { headers: authHeaders });
+      const { user } = await response.json();
+
+      // token expired or server restarted
+      if (!user) clearSession();
+      setUser(user);
+    } catch (err) {
+      console.error('Failed to fetch current user:', err);
+    }
+  }
+
   async function fetchAllSeasons() {
     setLoading(true);
     try {
@@ -71,16 +119,66 @@ export default function App() {
     }
   }
 
+  async function fetchTimeline(year) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/timeline`);
+      const result = await response.json();
+      setTimeline(response.ok ? result.timeline : []);
+    } catch (err) {
+      console.error('Failed to fetch standings timeline:', err);
+      setTimeline([]);
+    }
+  }
+
+  async function fetchOdds(year) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/odds`);
+      const result = await response.json();
+      setOdds(response.ok ? result : null);
+    } catch (err) {
+      console.error('Failed to fetch playoff odds:', err);
+      setOdds(null);
+    }
+  }
+
+  // ============================================
+  // AUTH
+  // ============================================
+
+  function handleLoggedIn({ token, user }) {
+    localStorage.setItem('authToken', token);
+    setToken(token);
+    setUser(user);
+    setViewMode(user.role === 'commissioner' ? 'edit' : 'season');
+  }
+
+  function clearSession() {
+    localStorage.removeItem('authToken');
+    setToken(null);
+    setUser(null);
+  }
+
+  async function logout() {
+    try {
+      await fetch(`${API_BASE_URL}/api/auth/logout`, { method: 'POST', headers: authHeaders });
+    } catch (err) {
+      console.error('Failed to log out:', err);
+    }
+    clearSession();
+    setViewMode('season');
+  }
+
   // ============================================
   // HELPER FUNCTIONS
   // ============================================
   
+  /**
+   * Standings rows for a season (teams only, before any scores are in)
+   * The server migrates every season to the same shape
+   */
   const getSeasonArray = (year) => {
     const seasonData = data[year];
-    if (Array.isArray(seasonData)) return seasonData;
-    if (seasonData?.standings && Array.isArray(seasonData.standings)) return seasonData.standings;
-    if (seasonData?.teams && Array.isArray(seasonData.teams)) return seasonData.teams;
-    return [];
+    return seasonData?.standings || seasonData?.teams || [];
   };
   
   const filterTeams = (teamsArray) => {
@@ -91,10 +189,44 @@ export default function App() {
   const toggleFilter = (stateKey) => {
     setFilters((prev) => ({...prev, [stateKey]: !prev[stateKey] }));
   };
+
+  const openRivalry = (a, b) => {
+    setRivalryPair({ a, b });
+    setViewMode("rivalry");
+  };
+
+  const openProfile = (name) => {
+    setProfileName(name);
+    setViewMode("manager");
+  };
+
+  const openSeason = (year) => {
+    setSelectedYear(Number(year));
+    setViewMode("season");
+  };
   
+  /**
+   * Table section heading for each dashboard view
+   */
+  const VIEW_TITLES = {
+    season: [`${selectedYear} Season Rankings`, "Current season standings and statistics"],
+    alltime: ["All-Time Player Rankings", "Career statistics across all seasons"],
+    h2h: ["Head-to-Head Records", "Row manager's lifetime record against each column manager"],
+    rivalry: ["Rivalry", "Every game between two managers across all seasons"],
+    manager: ["Manager Profile", "Career history across all seasons"],
+    records: ["League Record Book", "Best and worst marks from every matchup in every season"]
+  };
+
   // ============================================
   // COMPUTED VALUES
   // ============================================
+
+  /**
+   * Every manager who has played in any season
+   */
+  const allManagers = useMemo(() => [...new Set(
+    Object.keys(data).flatMap(year => (data[year].teams || []).map(team => team.name))
+  )].sort(), [data]);
   
   const currentSeasonStats = useMemo(() => {
     const season = getSeasonArray(selectedYear);
@@ -128,10 +260,55 @@ export default function App() {
   // RENDER: EDIT MODE
   // ============================================
   
-  if (viewMode === "edit") {
-    return <EditSeasonPage onBack={() => setViewMode("season")} />;
+  if (viewMode === "edit" && isCommissioner) {
+    return (
+      <EditSeasonPage
+        user={user}
+        authHeaders={authHeaders}
+        onBack={() => setViewMode("season")}
+        onLogout={logout}
+      />
+    );
   }
 
+  // ============================================
+  // RENDER: LOGIN
+  // ============================================
+
+  // edit mode without a commissioner session lands here too
+  if (viewMode === "login" || viewMode === "edit") {
+    return <LoginPage onLoggedIn={handleLoggedIn} onBack={() => setViewMode("season")} />;
+  }
+
+  /**
+   * Edit button for commissioners, otherwise login / logout
+   */
+  const accountButton = isCommissioner ? (
+    <button
+      onClick={() => setViewMode("edit")}
+      className="px-4 py-2 rounded-lg font-medium bg-green-600 text-white hover:bg-green-700 transition-colors flex items-center gap-2"
+    >
+      <Edit size={18} />
+      Edit Season Data
+    </button>
+  ) : user ? (
+    <button
+      onClick={logout}
+      className="px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors flex items-center gap-2"
+    >
+      <LogOut size={18} />
+      Log Out ({user.username})
+    </button>
+  ) : (
+    <button
+      onClick={() => setViewMode("login")}
+      className="px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors flex items-center gap-2"
+    >
+      <LogIn size={18} />
+      Commissioner Login
+    </button>
+  );
+
   // ============================================
   // RENDER: BRACKET MODE
   // ============================================
@@ -174,12 +351,27 @@ export default function App() {
                   Playoff Bracket
                 </button>
                 <button
-                  onClick={() => setViewMode("edit")}
-                  className="px-4 py-2 rounded-lg font-medium bg-green-600 text-white hover:bg-green-700 transition-colors flex items-center gap-2"
+                  onClick={() => setViewMode("records")}
+                  className="px-4 py-2 rounded-lg font-medium transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300 flex items-center gap-2"
+                >
+                  <BookOpen size={18} />
+                  Records
+                </button>
+                <button
+                  onClick={() => setViewMode("h2h")}
+                  className="px-4 py-2 rounded-lg font-medium transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300 flex items-center gap-2"
+                >
+                  <Grid3X3 size={18} />
+                  Head-to-Head
+                </button>
+                <button
+                  onClick={() => setViewMode("rivalry")}
+                  className="px-4 py-2 rounded-lg font-medium transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300 flex items-center gap-2"
                 >
-                  <Edit size={18} />
-                  Edit Season Data
+                  <Swords size={18} />
+                  Rivalry
                 </button>
+                {accountButton}
               </div>
 
               {/* Year Selector */}
@@ -293,12 +485,39 @@ export default function App() {
               Playoff Bracket
             </button>
             <button
-              onClick={() => setViewMode("edit")}
-              className="px-4 py-2 rounded-lg font-medium bg-green-600 text-white hover:bg-green-700 transition-colors flex items-center gap-2"
+              onClick={() => setViewMode("records")}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+                viewMode === "records"
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              <BookOpen size={18} />
+              Records
+            </button>
+            <button
+              onClick={() => setViewMode("h2h")}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+                viewMode === "h2h"
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
             >
-              <Edit size={18} />
-              Edit Season Data
+              <Grid3X3 size={18} />
+              Head-to-Head
             </button>
+            <button
+              onClick={() => setViewMode("rivalry")}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+                viewMode === "rivalry"
+                  ? "bg-indigo-600 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              <Swords size={18} />
+              Rivalry
+            </button>
+            {accountButton}
           </div>
 
           {/* Year Selector (Season view only) */}
@@ -352,14 +571,10 @@ export default function App() {
       <div className="bg-white rounded-lg shadow-md p-6">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-2xl font-bold text-gray-900">
-            {viewMode === "season"
-              ? `${selectedYear} Season Rankings`
-              : "All-Time Player Rankings"}
+            {VIEW_TITLES[viewMode][0]}
           </h2>
           <p className="text-gray-600 mt-1">
-            {viewMode === "season"
-              ? "Current season standings and statistics"
-              : "Career statistics across all seasons"}
+            {VIEW_TITLES[viewMode][1]}
           </p>
         </div>
 
@@ -368,20 +583,62 @@ export default function App() {
              <SeasonTable 
               seasonData={filterTeams(getSeasonArray(selectedYear))}
               year={selectedYear}
+              weekStandings={timeline.find(entry => entry.week === timelineWeek)}
+              odds={odds}
+            />
+          ) : viewMode === "h2h" ? (
+            <HeadToHeadGrid years={years} onOpenRivalry={openRivalry} />
+          ) : viewMode === "rivalry" ? (
+            <RivalryPage
+              key={rivalryPair ? `${rivalryPair.a}|${rivalryPair.b}` : 'rivalry'}
+              managers={allManagers}
+              initialPair={rivalryPair}
+            />
+          ) : viewMode === "records" ? (
+            <RecordBook onOpenSeason={openSeason} />
+          ) : viewMode === "manager" ? (
+            <ManagerProfile
+              key={profileName || 'manager'}
+              managers={allManagers}
+              initialName={profileName}
+              onOpenRivalry={openRivalry}
             />
           ) : (
             <AllTimeTable 
-              allData={Object.fromEntries(
-                Object.entries(data).map(([year, seasonData]) => [
-                  year,
-                  filterTeams(getSeasonArray(year))
-                ])
-              )}
+              years={years}
+              states={Object.keys(filters).filter(state => filters[state])}
+              onSelectManager={openProfile}
             />
           )}
         </div>
       </div>
 
+      {/* Weekly Score Chart (Season view only) */}
+      {viewMode === "season" && (
+        <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">Weekly Scores</h2>
+          <p className="text-gray-600 mb-4">Each team's score against the league median; hover a point for the matchup</p>
+          <WeeklyScoreChart
+            key={selectedYear}
+            weeks={data[selectedYear]?.weeks}
+            teams={filterTeams(getSeasonArray(selectedYear))}
+          />
+        </div>
+      )}
+
+      {/* Rank Chart (Season view only) */}
+      {viewMode === "season" && (
+        <div className="mt-6 bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-2xl font-bold text-gray-900 mb-1">Standings by Week</h2>
+          <p className="text-gray-600 mb-4">Each team's place after every regular-season week</p>
+          <StandingsTimeline
+            timeline={timeline}
+            selectedWeek={timelineWeek}
+            onSelectWeek={setTimelineWeek}
+          />
+        </div>
+      )}
+
       {/* Legend */}
       <div className="mt-6 bg-white rounded-lg shadow-md p-4">
         <h3 className="font-semibold text-gray-900 mb-2">Legend</h3>
@@ -392,6 +649,12 @@ export default function App() {
           <div><strong>👑:</strong> Regular Season Champion</div>
           <div><strong>GP:</strong> Games Played</div>
           <div><strong>Δ:</strong> Rank Change</div>
+          <div><strong>All-Play:</strong> Record vs every team's weekly score</div>
+          <div><strong>xW:</strong> Expected Wins</div>
+          <div><strong>Luck:</strong> H2H Wins minus Expected Wins</div>
+          <div><strong>H2H / Median:</strong> Game and Median Records (Median Seasons)</div>
+          <div><strong>SOS / Rem SOS:</strong> Opponents' Win% Played / Still to Play</div>
+          <div><strong>Odds:</strong> Simulated Playoff Chances</div>
         </div>
       </div>
     </div>
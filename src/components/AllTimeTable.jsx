@@ -2,24 +2,41 @@
 // AllTimeTable.jsx
 // ==================================
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const BRACKET_LABELS = { playoff: 'Playoff', toilet: 'Toilet bowl', out: 'Consolation' };
+
+const shortYear = (year) => "'" + String(year).slice(-2);
+
+function formatRecord({ wins, losses, ties }) {
+    return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
 
 /**
  * AllTimeTable Component
  * 
  * Displays aggregated career statistics for all players across all seasons.
+ * Totals are aggregated on the server by GET /api/alltime.
  * Features:
- *  - Aggregates wins, losses, ties, points for/against across all seasons
+ *  - Career wins, losses, ties, points for/against from the standings
+ *  - Optional playoff, toilet bowl and consolation games in the totals
  *  - Calculates career win percentage and per-game averages
+ *  - Career all-play record, expected wins and luck
  *  - Tracks championship counts (regular season and playoff)
+ *  - Year range filter
  *  - Sortable columns
  *   - Search filtering by player name
+ *  - Click a player to open their profile
  * 
  *  @param {Object} props - Component props
- *  @param {Object} props.allData - Object containing all season data, keyed by year
+ *  @param {Array<number>} props.years - Seasons available for the year range
+ *  @param {Array<string>} props.states - Team states to include (from the App filters)
  *  @param {string} props.searchQuery - Search query to filter players by name
+ *  @param {Function} props.onSelectManager - Called with a player's name when it is clicked
  */
-export default function AllTimeTable({ allData, searchQuery }) {
+export default function AllTimeTable({ years, states, searchQuery, onSelectManager }) {
 
     // ==================================
     // STATE MANAGEMENT
@@ -45,90 +62,95 @@ export default function AllTimeTable({ allData, searchQuery }) {
     });
 
     /**
-     * Toggle visibility of playoff filter menu
+     * Year range - empty means no limit
      */
-    const [showPlayoffFilters, setShowPlayoffFilters] = useState(false);
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+
+    const [managers, setManagers] = useState([]);
+    const [error, setError] = useState('');
+
+    const sortedYears = [...years].sort((a, b) => a - b);
 
     // ==================================
-    // DATA AGGREGATION & FILTERING
+    // DATA FETCHING
+    // ==================================
+
+    const statesKey = states.join(',');
+
+    useEffect(() => {
+        loadAllTime();
+    }, [from, to, statesKey]);
+
+    async function loadAllTime() {
+        setError('');
+        try {
+            const params = new URLSearchParams({ from, to, states: statesKey });
+            const response = await fetch(`${API_BASE_URL}/api/alltime?${params}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                setManagers(data.managers);
+            } else {
+                setError(`❌ ${data.error}`);
+            }
+        } catch (err) {
+            console.error('Failed to load all-time stats:', err);
+            setError('❌ Failed to load all-time stats');
+        }
+    }
+
+    // ==================================
+    // DERIVED STATS & FILTERING
     // ==================================
 
     /**
-     * Aggregates all player statistics across all seasons
+     * Adds the selected postseason games to each player's totals
+     * and calculates the derived metrics
      * Memoized to prevent recalculation on every render
      */
-    
     const allTimeStats = useMemo(() => {
-        const stats = {};
-
-        // Loop through each season's data
-        Object.entries(allData)
-            .filter(([year]) => !isNaN(Number(year)))
-            .forEach(([seasonYear, season]) => {
-            if (!Array.isArray(season)) return;
-
-            season.forEach((row) => {
-                const name = row.name;
-
-                // Initialize player stats if this is their first appearance
-                if (!stats[name]) {
-                    stats[name] = {
-                        wins: 0,
-                        losses: 0,
-                        ties: 0,
-                        PF: 0,
-                        PA: 0,
-                        rChampionYears: [],
-                        playoffRounds: 0,
-                        pChampionYears: []
-                    };
-                }
-
-                // Accumulate season stats
-                stats[name].wins += row.wins || 0;
-                stats[name].losses += row.losses || 0;
-                stats[name].ties += row.ties || 0;
-                stats[name].PF += row.pf || 0;
-                stats[name].PA += row.pa || 0;
-
-                // Track championships
-                if (row.rChampion) {
-                    const shortYear = "'" + seasonYear.toString().slice(-2);
-                    stats[name].rChampionYears.push(shortYear);
-                }
-
-                // Track playoff rounds won
-                if (row.playoff?.made) {
-                    let rounds = row.playoff.rounds || 0;
-                    // Add an extra round if they won the championship
-                    if (row.playoff.pChampion) rounds += 1;
-                    stats[name].playoffRounds += rounds;
-                }
-
-                // Track playoff championships
-                if (row.playoff?.pChampion) {
-                    const shortYear = "'" + seasonYear.toString().slice(-2);
-                    stats[name].pChampionYears.push(shortYear);
-                }
-            });
-        });
-
-        // Convert stats object to array and calculate derived metrics
-        let players = Object.entries(stats).map(([name, s]) => {
-            const totalGames = s.wins + s.losses + s.ties;
-
-            // Calculate win percentage (ties count as 0.5 wins)
-            const winPct = totalGames ? (s.wins + 0.5 * s.ties) / totalGames : 0;
+        let players = managers.map((m) => {
+            const totals = { wins: m.wins, losses: m.losses, ties: m.ties, PF: m.pf, PA: m.pa };
+            let totalGames = m.games;
+
+            Object.keys(playoffFilters)
+                .filter(bracket => playoffFilters[bracket])
+                .forEach(bracket => {
+                    totals.wins += m[bracket].wins;
+                    totals.losses += m[bracket].losses;
+                    totals.ties += m[bracket].ties;
+                    totals.PF += m[bracket].pf;
+                    totals.PA += m[bracket].pa;
+                    totalGames += m[bracket].wins + m[bracket].losses + m[bracket].ties;
+                });
+
+            // Calculate win percentage (ties count as 0.5 wins, median results included)
+            const decisions = totals.wins + totals.losses + totals.ties;
+            const winPct = decisions ? (totals.wins + 0.5 * totals.ties) / decisions : 0;
 
             return {
-                name,
-                ...s,
+                name: m.name,
+                ...totals,
                 totalGames,
                 winPct,
-                PFPG: totalGames ? s.PF / totalGames : 0,
-                PAPG: totalGames ? s.PA / totalGames : 0,
-                rChampionCount: s.rChampionYears.length,
-                pChampionCount: s.pChampionYears.length
+                PFPG: totalGames ? totals.PF / totalGames : 0,
+                PAPG: totalGames ? totals.PA / totalGames : 0,
+                playoffRecord: m.playoff,
+                playoffWins: m.playoff.wins,
+                toiletRecord: m.toilet,
+                toiletWins: m.toilet.wins,
+                allPlay: m.allPlay,
+                allPlayPct: m.allPlay.wins + m.allPlay.losses + m.allPlay.ties
+                    ? (m.allPlay.wins + 0.5 * m.allPlay.ties) / (m.allPlay.wins + m.allPlay.losses + m.allPlay.ties)
+                    : null,
+                expectedWins: m.expectedWins,
+                luck: m.luck,
+                playoffRounds: m.playoffRounds,
+                rChampionYears: m.rChampionYears.map(shortYear),
+                pChampionYears: m.pChampionYears.map(shortYear),
+                rChampionCount: m.rChampionYears.length,
+                pChampionCount: m.pChampionYears.length
             };
         });
 
@@ -140,7 +162,7 @@ export default function AllTimeTable({ allData, searchQuery }) {
         }
 
         return players;
-    }, [allData, searchQuery]);
+    }, [managers, playoffFilters, searchQuery]);
 
     // ==================================
     // SORTING
@@ -200,6 +222,43 @@ export default function AllTimeTable({ allData, searchQuery }) {
 
     return (
         <div className="overflow-x-auto">
+
+            {/* Filters */}
+            <div className="flex flex-wrap items-center gap-4 mb-4 text-sm">
+                <select
+                    value={from}
+                    onChange={(e) => setFrom(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                >
+                    <option value="">From first season</option>
+                    {sortedYears.map(year => <option key={year} value={year}>From {year}</option>)}
+                </select>
+                <select
+                    value={to}
+                    onChange={(e) => setTo(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                >
+                    <option value="">To latest season</option>
+                    {sortedYears.map(year => <option key={year} value={year}>To {year}</option>)}
+                </select>
+                <span className="text-gray-600">Include in totals:</span>
+                {Object.entries(playoffFilters).map(([bracket, checked]) => (
+                    <label key={bracket} className="flex items-center gap-1.5 cursor-pointer text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={checked}
+                            onChange={() => setPlayoffFilters(prev => ({ ...prev, [bracket]: !prev[bracket] }))}
+                            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                        />
+                        {BRACKET_LABELS[bracket]}
+                    </label>
+                ))}
+            </div>
+
+            {error && (
+                <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">{error}</div>
+            )}
+
             <table className="w-full border-collapse">
             
                 {/* Table Header - Sticky on scroll */}
@@ -246,6 +305,39 @@ export default function AllTimeTable({ allData, searchQuery }) {
                     >
                         PFPG {getSortIcon("PFPG")}
                     </th>
+                    <th 
+                        className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-indigo-500 transition-colors" 
+                        onClick={() => requestSort("allPlayPct")}
+                        title="Regular-season record against every team's score each week"
+                    >
+                        All-Play {getSortIcon("allPlayPct")}
+                    </th>
+                    <th 
+                        className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-indigo-500 transition-colors" 
+                        onClick={() => requestSort("expectedWins")}
+                        title="Expected wins from the all-play record"
+                    >
+                        xW {getSortIcon("expectedWins")}
+                    </th>
+                    <th 
+                        className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-indigo-500 transition-colors" 
+                        onClick={() => requestSort("luck")}
+                        title="Actual wins minus expected wins"
+                    >
+                        Luck {getSortIcon("luck")}
+                    </th>
+                    <th 
+                        className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-indigo-500 transition-colors" 
+                        onClick={() => requestSort("playoffWins")}
+                    >
+                        Playoff {getSortIcon("playoffWins")}
+                    </th>
+                    <th 
+                        className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-indigo-500 transition-colors" 
+                        onClick={() => requestSort("toiletWins")}
+                    >
+                        Toilet {getSortIcon("toiletWins")}
+                    </th>
                     <th 
                         className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-indigo-500 transition-colors" 
                         onClick={() => requestSort("rChampionCount")}
@@ -278,7 +370,12 @@ export default function AllTimeTable({ allData, searchQuery }) {
                     >
                     {/* Player Name */}
                     <td className="px-4 py-3 font-medium text-gray-900">
-                        {player.name}
+                        <button
+                            onClick={() => onSelectManager(player.name)}
+                            className="hover:text-indigo-600 hover:underline"
+                        >
+                            {player.name}
+                        </button>
                     </td>
                     
                     {/* Win Percentage - Color coded by performance */}
@@ -318,6 +415,39 @@ export default function AllTimeTable({ allData, searchQuery }) {
                     </td>
                     
                     
+                    {/* All-Play Record */}
+                    <td className="px-4 py-3 text-center text-gray-700">
+                        {player.allPlayPct != null ? formatRecord(player.allPlay) : '-'}
+                    </td>
+
+                    {/* Expected Wins */}
+                    <td className="px-4 py-3 text-center text-gray-700">
+                        {player.allPlayPct != null ? player.expectedWins.toFixed(1) : '-'}
+                    </td>
+
+                    {/* Luck - Green when the schedule helped, red when it hurt */}
+                    <td className="px-4 py-3 text-center font-medium">
+                        {player.allPlayPct != null ? (
+                            <span className={player.luck > 0 ? 'text-green-600' : player.luck < 0 ? 'text-red-600' : 'text-gray-500'}>
+                                {player.luck > 0 ? '+' : ''}{player.luck.toFixed(1)}
+                            </span>
+                        ) : '-'}
+                    </td>
+
+                    {/* Playoff Record */}
+                    <td className="px-4 py-3 text-center text-gray-700">
+                        {player.playoffRecord.wins + player.playoffRecord.losses + player.playoffRecord.ties > 0
+                            ? formatRecord(player.playoffRecord)
+                            : '-'}
+                    </td>
+
+                    {/* Toilet Bowl Record */}
+                    <td className="px-4 py-3 text-center text-gray-700">
+                        {player.toiletRecord.wins + player.toiletRecord.losses + player.toiletRecord.ties > 0
+                            ? formatRecord(player.toiletRecord)
+                            : '-'}
+                    </td>
+
                     {/* Regular Season Championships - show years won */}
                     <td className="px-4 py-3 text-center">
                         {player.rChampionYears.length > 0 && (
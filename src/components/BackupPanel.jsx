@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import { Archive, GitCompare, RotateCcw, X } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * BackupPanel Component
+ *
+ * Admin panel for the snapshots in backups/.
+ * Lists every snapshot, shows how it differs from the live data,
+ * and restores it with one click.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.headers - Auth headers for the signed-in commissioner
+ * @param {Function} props.onRestored - Called after a snapshot replaces the live data
+ * @param {Function} props.onClose - Called when the panel is closed
+ */
+export default function BackupPanel({ headers, onRestored, onClose }) {
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [backups, setBackups] = useState([]);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // DATA FETCHING
+  // ============================================
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  async function loadBackups() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/backups`);
+      setBackups(await response.json());
+    } catch (err) {
+      console.error('Failed to load backups:', err);
+      setError('⚠️ Failed to load backups');
+    }
+  }
+
+  /**
+   * Compare a snapshot with the live data
+   */
+  async function compareBackup(file) {
+    setSelectedFile(file);
+    setDiff(null);
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/backups/${encodeURIComponent(file)}/diff`);
+      const data = await response.json();
+
+      if (data.seasons) {
+        setDiff(data.seasons);
+      } else {
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to compare backup:', err);
+      setError('❌ Network error while comparing backup');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  /**
+   * Replace the live data with a snapshot
+   */
+  async function restoreBackup(file) {
+    if (!window.confirm(`Restore ${file}? The current data will be snapshotted first.`)) return;
+
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/backups/${encodeURIComponent(file)}/restore`,
+        { method: 'POST', headers }
+      );
+      const data = await response.json();
+
+      if (data.success) {
+        onRestored(file);
+      } else {
+        setError(`❌ Failed to restore: ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to restore backup:', err);
+      setError('❌ Network error while restoring backup');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ============================================
+  // RENDER HELPERS
+  // ============================================
+
+  function formatMatchup(matchup) {
+    if (!matchup) return '—';
+    return `${matchup.team1 || 'TBD'} ${matchup.team1Score ?? '-'} vs ${matchup.team2 || 'TBD'} ${matchup.team2Score ?? '-'}`;
+  }
+
+  function describeChange(change) {
+    switch (change) {
+      case 'only-live':
+        return 'not in backup';
+      case 'only-backup':
+        return 'only in backup';
+      default:
+        return 'changed';
+    }
+  }
+
+  /**
+   * Render the differences for a single season
+   */
+  function renderSeasonDiff(season) {
+    return (
+      <div key={season.year} className="border border-gray-200 rounded-lg p-3">
+        <div className="font-semibold text-gray-900 mb-1">
+          {season.year} <span className="text-sm font-normal text-gray-500">- {describeChange(season.change)}</span>
+        </div>
+
+        {season.teams && (
+          <div className="text-sm text-gray-700 space-y-1 mb-2">
+            {season.teams.onlyLive.length > 0 && <div>Managers not in backup: {season.teams.onlyLive.join(', ')}</div>}
+            {season.teams.onlyBackup.length > 0 && <div>Managers only in backup: {season.teams.onlyBackup.join(', ')}</div>}
+            {season.teams.changed.map((c, idx) => (
+              <div key={idx}>{c.name} {c.field}: {String(c.live)} → {String(c.backup)}</div>
+            ))}
+          </div>
+        )}
+
+        {season.weeks?.map(week => (
+          <div key={week.week} className="text-sm mb-2">
+            <div className="font-medium text-gray-800">Week {week.week} - {describeChange(week.change)}</div>
+            {week.matchups?.map(m => (
+              <div key={m.index} className="pl-4 text-gray-600">
+                <div>#{m.index + 1} live: {formatMatchup(m.live)}</div>
+                <div className="text-indigo-700">#{m.index + 1} backup: {formatMatchup(m.backup)}</div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6 border-2 border-gray-300">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Archive size={20} />
+          Backups
+        </h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Snapshot list */}
+        <div className="max-h-96 overflow-auto space-y-2">
+          {backups.length === 0 && (
+            <p className="text-gray-500 text-sm">No backups yet.</p>
+          )}
+          {backups.map(backup => (
+            <div
+              key={backup.file}
+              className={`p-3 rounded-lg border ${
+                selectedFile === backup.file ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200'
+              }`}
+            >
+              <div className="font-medium text-gray-900">{backup.reason}</div>
+              <div className="text-xs text-gray-500">
+                {new Date(backup.createdAt).toLocaleString()} • {(backup.size / 1024).toFixed(0)} KB
+              </div>
+              <div className="flex gap-3 mt-2 text-sm">
+                <button
+                  onClick={() => compareBackup(backup.file)}
+                  disabled={busy}
+                  className="text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+                >
+                  <GitCompare size={14} />
+                  Compare
+                </button>
+                <button
+                  onClick={() => restoreBackup(backup.file)}
+                  disabled={busy}
+                  className="text-red-600 hover:text-red-800 flex items-center gap-1"
+                >
+                  <RotateCcw size={14} />
+                  Restore
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Diff */}
+        <div className="max-h-96 overflow-auto space-y-2">
+          {!selectedFile && (
+            <p className="text-gray-500 text-sm">Pick a snapshot to compare it with the live data.</p>
+          )}
+          {selectedFile && busy && !diff && (
+            <p className="text-gray-500 text-sm">Comparing...</p>
+          )}
+          {diff && diff.length === 0 && (
+            <p className="text-green-700 text-sm">Identical to the live data.</p>
+          )}
+          {diff && diff.map(renderSeasonDiff)}
+        </div>
+      </div>
+    </div>
+  );
+}
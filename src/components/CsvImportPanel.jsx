@@ -0,0 +1,229 @@
+import React, { useState } from 'react';
+import { Upload, Check, X } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * Cell for a name from the file and the manager it matched
+ */
+function NameCell({ team }) {
+  if (team.match === 'exact') return <span>{team.name}</span>;
+  if (team.match === 'fuzzy') {
+    return (
+      <span className="text-amber-700" title={`"${team.input}" in the file`}>
+        {team.name} <span className="text-xs">(from "{team.input}")</span>
+      </span>
+    );
+  }
+  return <span className="text-red-700 font-medium">{team.input || '(blank)'}</span>;
+}
+
+/**
+ * CsvImportPanel Component
+ *
+ * Uploads a CSV of week, team1, team1Score, team2, team2Score[, status, label]
+ * rows, previews how each row matched the season's teams, and merges
+ * them into the season's weeks once accepted. Rows with unknown names
+ * block the import; rows that change entered games need overwrite.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.year - Season being imported into
+ * @param {Object} props.headers - Auth headers for the signed-in commissioner
+ * @param {Function} props.onImported - Called with the import response after saving
+ * @param {Function} props.onCancel - Called when the panel is closed
+ */
+export default function CsvImportPanel({ year, headers, onImported, onCancel }) {
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [overwrite, setOverwrite] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // PREVIEW & IMPORT
+  // ============================================
+
+  /**
+   * Read the chosen file and ask the server how its rows would merge
+   */
+  async function handleFile(file) {
+    if (!file) return;
+    setBusy(true);
+    setError('');
+    setPreview(null);
+    setOverwrite(false);
+
+    try {
+      const text = await file.text();
+      setFileName(file.name);
+      setCsv(text);
+
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/import/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ csv: text })
+      });
+      const data = await response.json();
+
+      if (data.rows) {
+        setPreview(data);
+      } else {
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to preview import:', err);
+      setError('❌ Network error while reading the file');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function importRows() {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/import`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ csv, overwrite })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onImported(data);
+      } else {
+        if (data.rows) setPreview(data);
+        setError(`❌ Import failed: ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to import CSV:', err);
+      setError('❌ Network error while importing');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const canImport = preview && preview.rows.length > 0 && preview.errorCount === 0 &&
+    (preview.conflictCount === 0 || overwrite);
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6 border-2 border-indigo-300">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Import {year} Scores from CSV</h2>
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-3">
+        One game per row: <code>week, team1, team1Score, team2, team2Score[, status, label]</code>.
+        A header row is optional, and blank scores import the schedule only. Names can be the
+        manager or the team name; close spellings are matched.
+      </p>
+
+      <div className="flex items-center gap-3 mb-4">
+        <label className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2 cursor-pointer">
+          <Upload size={18} />
+          Choose CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => handleFile(e.target.files[0])}
+            className="hidden"
+          />
+        </label>
+        {fileName && <span className="text-sm text-gray-600">{fileName}</span>}
+        {busy && <span className="text-sm text-gray-500">Working...</span>}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">
+          {error}
+        </div>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        <div>
+          <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+            <span className="text-gray-700">{preview.rows.length} rows</span>
+            {preview.errorCount > 0 && (
+              <span className="text-red-700 font-medium">{preview.errorCount} with errors - fix the file and choose it again</span>
+            )}
+            {preview.conflictCount > 0 && (
+              <label className="flex items-center gap-2 text-amber-800">
+                <input
+                  type="checkbox"
+                  checked={overwrite}
+                  onChange={(e) => setOverwrite(e.target.checked)}
+                  className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Overwrite {preview.conflictCount} conflicting rows
+              </label>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-auto border border-gray-200 rounded-lg mb-4">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-gray-50">
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="px-3 py-2">Line</th>
+                  <th className="px-3 py-2">Week</th>
+                  <th className="px-3 py-2">Team 1</th>
+                  <th className="px-3 py-2 text-right">Score</th>
+                  <th className="px-3 py-2">Team 2</th>
+                  <th className="px-3 py-2 text-right">Score</th>
+                  <th className="px-3 py-2">Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => (
+                  <tr
+                    key={row.line}
+                    className={`border-b border-gray-100 align-top ${
+                      row.errors.length > 0 ? 'bg-red-50' : row.conflicts.length > 0 ? 'bg-amber-50' : ''
+                    }`}
+                  >
+                    <td className="px-3 py-2 text-gray-500">{row.line}</td>
+                    <td className="px-3 py-2">{Number.isNaN(row.week) ? '-' : row.week}</td>
+                    <td className="px-3 py-2"><NameCell team={row.team1} /></td>
+                    <td className="px-3 py-2 text-right">{row.team1Score ?? '-'}</td>
+                    <td className="px-3 py-2"><NameCell team={row.team2} /></td>
+                    <td className="px-3 py-2 text-right">{row.team2Score ?? '-'}</td>
+                    <td className="px-3 py-2">
+                      {row.errors.map((message, idx) => (
+                        <div key={`e${idx}`} className="text-red-700">❌ {message}</div>
+                      ))}
+                      {row.conflicts.map((message, idx) => (
+                        <div key={`c${idx}`} className="text-amber-800">⚠️ {message}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={importRows}
+            disabled={busy || !canImport}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors flex items-center gap-2"
+          >
+            <Check size={18} />
+            Import {preview.rows.length} Rows
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { Save, ChevronDown, ChevronRight, ArrowLeft, Users, Trophy, Trash2 } from 'lucide-react';
+import { Save, ChevronDown, ChevronRight, ArrowLeft, Users, Trophy, Trash2, Plus, CalendarDays, Archive, History, LogOut, Settings, Upload } from 'lucide-react';
+import NewSeasonWizard from './NewSeasonWizard';
+import ScheduleGenerator from './ScheduleGenerator';
+import BackupPanel from './BackupPanel';
+import WeekHistoryDrawer from './WeekHistoryDrawer';
+import SeasonSettingsPanel from './SeasonSettingsPanel';
+import CsvImportPanel from './CsvImportPanel';
 
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
 
 /**
  * EditSeasonPage Component
  * 
  * Main interface for editing season data week-by-week
  * Allows updating matchup scores and automatically recalculates standings
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.user - Signed-in commissioner { username, role }
+ * @param {Object} props.authHeaders - Authorization header sent with every write
+ * @param {Function} props.onBack - Return to the dashboard
+ * @param {Function} props.onLogout - Sign out and return to the dashboard
  */
-export default function EditSeasonPage({ onBack }) {
+export default function EditSeasonPage({ user, authHeaders, onBack, onLogout }) {
   // ============================================
   // STATE MANAGEMENT
   // ============================================
@@ -18,10 +30,19 @@ export default function EditSeasonPage({ onBack }) {
   const [availableYears, setAvailableYears] = useState([]);
   const [weeks, setWeeks] = useState({});
   const [teams, setTeams] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [playoffWeeks, setPlayoffWeeks] = useState([]);
   const [expandedWeek, setExpandedWeek] = useState(null);
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState('');
+  const [showNewSeason, setShowNewSeason] = useState(false);
+  const [showScheduler, setShowScheduler] = useState(false);
+  const [showBackups, setShowBackups] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [historyWeek, setHistoryWeek] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({}); // { weekNum: { "index.field": message } }
   
   // ============================================
   // DATA FETCHING
@@ -70,6 +91,8 @@ export default function EditSeasonPage({ onBack }) {
       
       setWeeks(data.weeks || {});
       setTeams(data.teams || []);
+      setSettings(data.settings || null);
+      setPlayoffWeeks(data.playoffWeeks || []);
       
       // Auto-expand week 1 if no weeks are expanded
       if (!expandedWeek && Object.keys(data.weeks).length > 0) {
@@ -83,6 +106,67 @@ export default function EditSeasonPage({ onBack }) {
     }
   }
   
+  /**
+   * Switch to a freshly created season
+   */
+  async function handleSeasonCreated(year) {
+    setShowNewSeason(false);
+    await loadAvailableYears();
+    setSelectedYear(String(year));
+    setMessage(`✅ ${year} season created with empty weeks`);
+    setTimeout(() => setMessage(''), 3000);
+  }
+
+  /**
+   * Reload weeks after a generated schedule is accepted
+   */
+  async function handleScheduleAccepted() {
+    setShowScheduler(false);
+    await loadSeasonData();
+    setMessage(`✅ ${selectedYear} schedule generated`);
+    setTimeout(() => setMessage(''), 3000);
+  }
+
+  /**
+   * Reload weeks after the season format changes (playoff weeks may move)
+   */
+  async function handleSettingsSaved() {
+    setShowSettings(false);
+    await loadSeasonData();
+    setMessage(`✅ ${selectedYear} league settings saved`);
+    setTimeout(() => setMessage(''), 3000);
+  }
+
+  /**
+   * Reload weeks and standings after a CSV import
+   */
+  async function handleImported(data) {
+    setShowImport(false);
+    await loadSeasonData();
+    setMessage(`✅ Imported ${data.imported} games into ${selectedYear}. Standings updated.`);
+    setTimeout(() => setMessage(''), 3000);
+  }
+
+  /**
+   * Apply a reverted change from the history drawer
+   */
+  function handleChangeReverted(data) {
+    setWeeks(prev => ({ ...prev, [historyWeek]: data.week, ...data.updatedWeeks }));
+    setMessage(`✅ Change reverted in week ${historyWeek}. Standings updated.`);
+    setTimeout(() => setMessage(''), 3000);
+  }
+
+  /**
+   * Reload everything after a backup replaces the live data
+   */
+  async function handleBackupRestored(file) {
+    setShowBackups(false);
+    await loadAvailableYears();
+    await loadSeasonData();
+    setMessage(`✅ Restored ${file}`);
+    setTimeout(() => setMessage(''), 3000);
+  }
+
   // ============================================
   // WEEK MANAGEMENT
   // ============================================
@@ -94,10 +178,26 @@ export default function EditSeasonPage({ onBack }) {
     setExpandedWeek(expandedWeek === weekNum ? null : weekNum);
   }
 
+  /**
+   * Validation message the server returned for one field, if any
+   */
+  function getFieldError(weekNum, matchupIndex, field) {
+    return fieldErrors[weekNum]?.[`${matchupIndex}.${field}`];
+  }
+
+  function clearFieldError(weekNum, matchupIndex, field) {
+    if (!getFieldError(weekNum, matchupIndex, field)) return;
+    setFieldErrors(prev => {
+      const { [`${matchupIndex}.${field}`]: _, ...rest } = prev[weekNum];
+      return { ...prev, [weekNum]: rest };
+    });
+  }
+
   /**
    * Update a matchup's team assignment
    */
   function updateMatchupTeam(weekNum, matchupIndex, field, value) {
+    clearFieldError(weekNum, matchupIndex, field);
     setWeeks(prev => {
       const newWeeks = { ...prev };
       const week = newWeeks[weekNum];
@@ -119,6 +219,7 @@ export default function EditSeasonPage({ onBack }) {
    * Update a single matchup score
    */
   function updateMatchupScore(weekNum, matchupIndex, field, value) {
+    clearFieldError(weekNum, matchupIndex, field);
     setWeeks(prev => {
       const newWeeks = { ...prev };
       const week = newWeeks[weekNum];
@@ -221,7 +322,7 @@ export default function EditSeasonPage({ onBack }) {
         `${API_BASE_URL}/api/seasons/${selectedYear}/weeks/${weekNum}`,
         {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          headers: { 'Content-Type': 'application/json', ...authHeaders },
           body: JSON.stringify({ matchups: weeks[weekNum].matchups })
         }
       );
@@ -229,10 +330,27 @@ export default function EditSeasonPage({ onBack }) {
       const data = await response.json();
       
       if (data.success) {
-        setMessage(`✅ Week ${weekNum} saved! Standings updated.`);
+        const advanced = Object.keys(data.updatedWeeks || {});
+        setFieldErrors(prev => ({ ...prev, [weekNum]: {} }));
+
+        // show teams that advanced into later playoff rounds
+        if (advanced.length > 0) {
+          setWeeks(prev => ({ ...prev, ...data.updatedWeeks }));
+        }
+
+        setMessage(advanced.length > 0
+          ? `✅ Week ${weekNum} saved! Bracket advanced into week ${advanced.join(' & ')}.`
+          : `✅ Week ${weekNum} saved! Standings updated.`);
         
         // Clear message after 3 seconds
         setTimeout(() => setMessage(''), 3000);
+      } else if (data.errors) {
+        // paths look like "matchups.2.team1Score"
+        setFieldErrors(prev => ({
+          ...prev,
+          [weekNum]: Object.fromEntries(data.errors.map(e => [e.path.replace(/^matchups\./, ''), e.message]))
+        }));
+        setMessage(`❌ Week ${weekNum} not saved: ${data.errors.length} invalid field${data.errors.length === 1 ? '' : 's'} highlighted below`);
       } else {
         setMessage(`❌ Failed to save: ${data.error}`);
       }
@@ -244,6 +362,36 @@ export default function EditSeasonPage({ onBack }) {
     }
   }
   
+  /**
+   * Generate first playoff week seeding from the final regular-season standings
+   */
+  async function seedPlayoffs() {
+    setSaving(true);
+    setMessage('');
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/seasons/${selectedYear}/playoffs/seed`,
+        { method: 'POST', headers: authHeaders }
+      );
+
+      const data = await response.json();
+
+      if (data.success) {
+        setWeeks(prev => ({ ...prev, [data.week]: { matchups: data.matchups } }));
+        setMessage(`✅ Week ${data.week} seeded from final standings.`);
+        setTimeout(() => setMessage(''), 3000);
+      } else {
+        setMessage(`❌ Failed to seed playoffs: ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to seed playoffs:', err);
+      setMessage('❌ Network error while seeding playoffs');
+    } finally {
+      setSaving(false);
+    }
+  }
+
   // ============================================
   // RENDER HELPERS
   // ============================================
@@ -252,19 +400,17 @@ export default function EditSeasonPage({ onBack }) {
    * Get week title with special teams for playoff weeks
    */
   function getWeekTitle(weekNum) {
-    const num = parseInt(weekNum);
-    if (num === 15) return 'Week 15 - Playoff/TB Round 1';
-    if (num === 16) return 'Week 16 - Playoff/TB Round 2';
-    if (num === 17) return 'Week 17 - Super Bowl Week';
-    return `Week ${weekNum}`;
+    const round = playoffWeeks.indexOf(parseInt(weekNum));
+    if (round === -1) return `Week ${weekNum}`;
+    if (round === playoffWeeks.length - 1) return `Week ${weekNum} - Super Bowl Week`;
+    return `Week ${weekNum} - Playoff/TB Round ${round + 1}`;
   }
 
   /**
-   * Check if a week is a playoff week
+   * Check if a week is a playoff week (from the season's settings)
    */
   function isPlayoffWeek(weekNum) {
-    const num = parseInt(weekNum);
-    return num >= 15 && num <= 17;
+    return playoffWeeks.includes(parseInt(weekNum));
   }
 
   /**
@@ -323,7 +469,9 @@ export default function EditSeasonPage({ onBack }) {
       <select 
         value={currentValue || ''}
         onChange={(e) => updateMatchupTeam(weekNum, matchupIndex, field, e.target.value)}
-        className="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-white"
+        className={`w-full px-3 py-2 border rounded focus:ring-2 focus:ring-indigo-500 focus:border-transparent bg-white ${
+          getFieldError(weekNum, matchupIndex, field) ? 'border-red-500 bg-red-50' : 'border-gray-300'
+        }`}
       >
         <option value="">Select team...</option>
         {availableTeams.map(team => (
@@ -335,6 +483,11 @@ export default function EditSeasonPage({ onBack }) {
     );
   }
 
+  function renderFieldError(weekNum, matchupIndex, field) {
+    const error = getFieldError(weekNum, matchupIndex, field);
+    return error && <p className="mt-1 text-xs text-red-600">{error}</p>;
+  }
+
   /**
    * Render a single matchup editor
    */
@@ -371,6 +524,7 @@ export default function EditSeasonPage({ onBack }) {
               Team 1
             </label>
             {renderTeamSelector(weekNum, index, 'team1', matchup.team1)}
+            {renderFieldError(weekNum, index, 'team1')}
           </div>
 
           {/* VS Divider */}
@@ -382,6 +536,7 @@ export default function EditSeasonPage({ onBack }) {
               Team 2
             </label>
             {renderTeamSelector(weekNum, index, 'team2', matchup.team2)}
+            {renderFieldError(weekNum, index, 'team2')}
           </div>
         </div>
         
@@ -398,9 +553,12 @@ export default function EditSeasonPage({ onBack }) {
               placeholder="0.0"
               value={matchup.team1Score ?? ''}
               onChange={(e) => updateMatchupScore(weekNum, index, 'team1Score', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded focus:rind-2 focus:ring-indigo-500 focus:border-transparent"
+              className={`w-full px-3 py-2 border rounded focus:rind-2 focus:ring-indigo-500 focus:border-transparent ${
+                getFieldError(weekNum, index, 'team1Score') ? 'border-red-500 bg-red-50' : 'border-gray-300'
+              }`}
               disabled={!matchup.team1 || matchup.team1 === 'BYE'}
             />
+            {renderFieldError(weekNum, index, 'team1Score')}
           </div>
 
           {/* Spacer */}
@@ -417,9 +575,12 @@ export default function EditSeasonPage({ onBack }) {
               placeholder="0.0"
               value={matchup.team2Score ?? ''}
               onChange={(e) => updateMatchupScore(weekNum, index, 'team2Score', e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded focus:rind-2 focus:ring-indigo-500 focus:border-transparent"
+              className={`w-full px-3 py-2 border rounded focus:rind-2 focus:ring-indigo-500 focus:border-transparent ${
+                getFieldError(weekNum, index, 'team2Score') ? 'border-red-500 bg-red-50' : 'border-gray-300'
+              }`}
               disabled={!matchup.team2 || matchup.team2 === 'BYE'}
             />
+            {renderFieldError(weekNum, index, 'team2Score')}
           </div>
         </div>
 
@@ -469,6 +630,17 @@ export default function EditSeasonPage({ onBack }) {
           
           <h1 className="text-3xl font-bold text-gray-900 mb-2">Edit Season Data</h1>
           <p className="text-gray-600">Update matchups and scores week by week</p>
+
+          <div className="mt-3 flex items-center gap-3 text-sm text-gray-700">
+            <span>Signed in as <strong>{user.username}</strong></span>
+            <button
+              onClick={onLogout}
+              className="text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+            >
+              <LogOut size={14} />
+              Log out
+            </button>
+          </div>
         </div>
         
         {/* Year Selector */}
@@ -476,21 +648,124 @@ export default function EditSeasonPage({ onBack }) {
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Select Season
           </label>
-          <select
-            value={selectedYear}
-            onChange={(e) => setSelectedYear(e.target.value)}
-            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
-          >
-            {availableYears.length === 0 && (
-              <option value="">Loading years...</option>
-            )}
-            {availableYears.map(year => (
-              <option key={year} value={year}>
-                {year}
-              </option>
-            ))}
-          </select>
+          <div className="flex gap-2">
+            <select
+              value={selectedYear}
+              onChange={(e) => setSelectedYear(e.target.value)}
+              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+            >
+              {availableYears.length === 0 && (
+                <option value="">Loading years...</option>
+              )}
+              {availableYears.map(year => (
+                <option key={year} value={year}>
+                  {year}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowNewSeason(true)}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
+            >
+              <Plus size={18} />
+              New Season
+            </button>
+            <button
+              onClick={() => setShowScheduler(true)}
+              disabled={teams.length < 2}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 transition-colors flex items-center gap-2"
+            >
+              <CalendarDays size={18} />
+              Generate Schedule
+            </button>
+            <button
+              onClick={() => setShowSettings(true)}
+              disabled={!settings}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50 transition-colors flex items-center gap-2"
+            >
+              <Settings size={18} />
+              Settings
+            </button>
+            <button
+              onClick={() => setShowImport(true)}
+              disabled={teams.length < 2}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50 transition-colors flex items-center gap-2"
+            >
+              <Upload size={18} />
+              Import CSV
+            </button>
+            <button
+              onClick={() => setShowBackups(true)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+            >
+              <Archive size={18} />
+              Backups
+            </button>
+          </div>
         </div>
+
+        {/* New Season Wizard */}
+        {showNewSeason && (
+          <NewSeasonWizard
+            previousYear={availableYears[0]}
+            headers={authHeaders}
+            onCreated={handleSeasonCreated}
+            onCancel={() => setShowNewSeason(false)}
+          />
+        )}
+
+        {/* Schedule Generator */}
+        {showScheduler && (
+          <ScheduleGenerator
+            year={selectedYear}
+            teams={teams}
+            regularSeasonWeeks={settings?.regularSeasonWeeks}
+            headers={authHeaders}
+            onAccepted={handleScheduleAccepted}
+            onCancel={() => setShowScheduler(false)}
+          />
+        )}
+
+        {/* League Settings */}
+        {showSettings && (
+          <SeasonSettingsPanel
+            year={selectedYear}
+            settings={settings}
+            headers={authHeaders}
+            onSaved={handleSettingsSaved}
+            onCancel={() => setShowSettings(false)}
+          />
+        )}
+
+        {/* CSV Import */}
+        {showImport && (
+          <CsvImportPanel
+            year={selectedYear}
+            headers={authHeaders}
+            onImported={handleImported}
+            onCancel={() => setShowImport(false)}
+          />
+        )}
+
+        {/* Backup Browser */}
+        {showBackups && (
+          <BackupPanel
+            headers={authHeaders}
+            onRestored={handleBackupRestored}
+            onClose={() => setShowBackups(false)}
+          />
+        )}
+
+        {/* Week History Drawer */}
+        {historyWeek && (
+          <WeekHistoryDrawer
+            year={selectedYear}
+            weekNum={historyWeek}
+            headers={authHeaders}
+            onReverted={handleChangeReverted}
+            onClose={() => setHistoryWeek(null)}
+          />
+        )}
         
         {/* Success/Error Message */}
         {message && (
@@ -548,7 +823,24 @@ export default function EditSeasonPage({ onBack }) {
                     )}
                     
                     {/* Save Button */}
-                    <div className="flex justify-end pt-4">
+                    <div className="flex justify-end gap-2 pt-4">
+                      <button
+                        onClick={() => setHistoryWeek(weekNum)}
+                        className="px-6 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+                      >
+                        <History size={18} />
+                        History
+                      </button>
+                      {Number(weekNum) === playoffWeeks[0] && (
+                        <button
+                          onClick={seedPlayoffs}
+                          disabled={saving}
+                          className="px-6 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 disabled:bg-gray-400 transition-colors flex items-center gap-2"
+                        >
+                          <Trophy size={18} />
+                          Seed from Standings
+                        </button>
+                      )}
                       <button
                         onClick={() => saveWeek(weekNum)}
                         disabled={saving}
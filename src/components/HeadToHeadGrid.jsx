@@ -0,0 +1,248 @@
+// ==================================
+// HeadToHeadGrid.jsx
+// ==================================
+
+import React, { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const GAME_TYPE_OPTIONS = [
+  { value: 'all', label: 'All games' },
+  { value: 'regular', label: 'Regular season' },
+  { value: 'playoff', label: 'Playoffs' },
+  { value: 'toilet', label: 'Toilet bowl' }
+];
+
+const GAME_TYPE_LABELS = { regular: 'Regular', playoff: 'Playoff', toilet: 'Toilet', out: 'Consolation' };
+
+function formatRecord({ wins, losses, ties }) {
+  return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+function initials(name) {
+  return name.split(' ').map(part => part[0]).join('');
+}
+
+/**
+ * Cell colour from the row manager's win percentage against the column manager
+ */
+function getCellClass(record) {
+  if (!record) return 'bg-gray-50 text-gray-300';
+
+  const games = record.wins + record.losses + record.ties;
+  const pct = (record.wins + 0.5 * record.ties) / games;
+  if (pct >= 0.7) return 'bg-green-300 text-green-900';
+  if (pct > 0.5) return 'bg-green-100 text-green-800';
+  if (pct === 0.5) return 'bg-gray-100 text-gray-700';
+  if (pct > 0.3) return 'bg-red-100 text-red-800';
+  return 'bg-red-300 text-red-900';
+}
+
+/**
+ * HeadToHeadGrid Component
+ *
+ * Lifetime records between every pair of managers.
+ * Each cell is the row manager's record against the column manager;
+ * clicking a cell lists every game between the two.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<number>} props.years - Seasons available for the year range
+ * @param {Function} props.onOpenRivalry - Called with (a, b) to open the rivalry page
+ */
+export default function HeadToHeadGrid({ years, onOpenRivalry }) {
+  // ==================================
+  // STATE MANAGEMENT
+  // ==================================
+
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [type, setType] = useState('all');
+  const [data, setData] = useState({ managers: [], records: {} });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null); // { a, b }
+
+  const sortedYears = [...years].sort((a, b) => a - b);
+
+  // ==================================
+  // DATA FETCHING
+  // ==================================
+
+  useEffect(() => {
+    loadHeadToHead();
+  }, [from, to, type]);
+
+  async function loadHeadToHead() {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ from, to, type });
+      const response = await fetch(`${API_BASE_URL}/api/h2h?${params}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setData(result);
+      } else {
+        setError(`❌ ${result.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to load head-to-head records:', err);
+      setError('❌ Failed to load head-to-head records');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const selectedRecord = selected ? data.records[selected.a]?.[selected.b] : null;
+
+  // ==================================
+  // RENDER
+  // ==================================
+
+  return (
+    <div>
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">From first season</option>
+          {sortedYears.map(year => <option key={year} value={year}>From {year}</option>)}
+        </select>
+        <select
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">To latest season</option>
+          {sortedYears.map(year => <option key={year} value={year}>To {year}</option>)}
+        </select>
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          {GAME_TYPE_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {loading && <span className="text-sm text-gray-500">Loading...</span>}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">{error}</div>
+      )}
+
+      {!loading && data.managers.length === 0 && !error && (
+        <p className="text-gray-500 text-center py-8">No games played in this range</p>
+      )}
+
+      {/* Grid */}
+      {data.managers.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="border-collapse text-sm">
+            <thead>
+              <tr>
+                <th className="px-2 py-2 text-left text-gray-500 font-medium">vs →</th>
+                {data.managers.map(name => (
+                  <th key={name} className="px-2 py-2 text-center font-semibold text-gray-700" title={name}>
+                    {initials(name)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.managers.map(a => (
+                <tr key={a}>
+                  <th className="px-2 py-1 text-left font-medium text-gray-900 whitespace-nowrap">{a}</th>
+                  {data.managers.map(b => {
+                    if (a === b) return <td key={b} className="bg-gray-200 border border-white" />;
+
+                    const record = data.records[a]?.[b];
+                    const isSelected = selected?.a === a && selected?.b === b;
+                    return (
+                      <td
+                        key={b}
+                        onClick={() => record && setSelected({ a, b })}
+                        title={record
+                          ? `${a} vs ${b}: ${formatRecord(record)}, PF ${record.pf.toFixed(1)} - PA ${record.pa.toFixed(1)}`
+                          : `${a} and ${b} haven't played`}
+                        className={`px-2 py-1 text-center border border-white whitespace-nowrap ${getCellClass(record)} ${
+                          record ? 'cursor-pointer hover:ring-2 hover:ring-indigo-400' : ''
+                        } ${isSelected ? 'ring-2 ring-indigo-600' : ''}`}
+                      >
+                        {record ? formatRecord(record) : '-'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Games between the selected pair */}
+      {selectedRecord && (
+        <div className="mt-6 border border-gray-200 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-bold text-gray-900">
+              {selected.a} vs {selected.b}: {formatRecord(selectedRecord)}
+              <span className="ml-2 text-sm font-normal text-gray-500">
+                PF {selectedRecord.pf.toFixed(1)} - PA {selectedRecord.pa.toFixed(1)}
+              </span>
+            </h3>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => onOpenRivalry(selected.a, selected.b)}
+                className="px-3 py-1.5 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+              >
+                Rivalry Page
+              </button>
+              <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={18} />
+              </button>
+            </div>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2">Season</th>
+                <th className="py-2">Week</th>
+                <th className="py-2">Game</th>
+                <th className="py-2 text-right">Score</th>
+                <th className="py-2 text-center">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {selectedRecord.games.map(game => {
+                const result = game.score > game.opponentScore ? 'W' : game.score < game.opponentScore ? 'L' : 'T';
+                return (
+                  <tr key={`${game.year}-${game.week}`} className="border-b border-gray-100">
+                    <td className="py-2">{game.year}</td>
+                    <td className="py-2">{game.week}</td>
+                    <td className="py-2 text-gray-600">{game.label || GAME_TYPE_LABELS[game.type]}</td>
+                    <td className="py-2 text-right font-medium">
+                      {game.score.toFixed(2)} - {game.opponentScore.toFixed(2)}
+                    </td>
+                    <td className="py-2 text-center">
+                      <span className={`font-bold ${
+                        result === 'W' ? 'text-green-600' : result === 'L' ? 'text-red-600' : 'text-gray-500'
+                      }`}>
+                        {result}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
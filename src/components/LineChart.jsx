@@ -0,0 +1,143 @@
+// ==================================
+// LineChart.jsx
+// ==================================
+
+import React from 'react';
+
+const WIDTH = 640;
+
+// line colours for charts with one series per team
+export const TEAM_COLORS = [
+  '#4f46e5', '#dc2626', '#16a34a', '#d97706', '#0891b2', '#9333ea',
+  '#db2777', '#65a30d', '#2563eb', '#ea580c', '#0d9488', '#6b7280'
+];
+const PADDING = { top: 12, right: 16, bottom: 28, left: 44 };
+
+/**
+ * Evenly spaced tick values covering [min, max]
+ */
+function getTicks(min, max, count = 5) {
+  if (min === max) return [min];
+  const step = (max - min) / (count - 1);
+  return Array.from({ length: count }, (_, idx) => min + step * idx);
+}
+
+/**
+ * LineChart Component
+ *
+ * Small dependency-free SVG line chart.
+ * Every series shares the same x labels; a null value leaves a gap.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.labels - X-axis label for each point
+ * @param {Array<Object>} props.series - [{ name, color, values: [number|null], dashed?, tooltips? }]
+ *   tooltips optionally replaces the hover text for each point
+ * @param {number} props.height - Chart height in px
+ * @param {Array<number>} props.yDomain - Optional [min, max]; fits the data when omitted
+ * @param {Array<number>} props.yTicks - Optional tick values; evenly spaced when omitted
+ * @param {boolean} props.invertY - Draw the smallest value at the top (ranks)
+ * @param {Function} props.formatY - Formats tick and tooltip values
+ */
+export default function LineChart({
+  labels,
+  series,
+  height = 240,
+  yDomain,
+  yTicks,
+  invertY = false,
+  formatY = value => value
+}) {
+  const allValues = series.flatMap(s => s.values).filter(v => v != null);
+  if (labels.length === 0 || allValues.length === 0) {
+    return <p className="text-gray-500 text-sm text-center py-8">No data to chart yet</p>;
+  }
+
+  const [min, max] = yDomain || [Math.min(...allValues), Math.max(...allValues)];
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  const x = idx => PADDING.left + (labels.length === 1 ? plotWidth / 2 : (plotWidth * idx) / (labels.length - 1));
+  const y = value => {
+    const ratio = max === min ? 0.5 : (value - min) / (max - min);
+    return PADDING.top + plotHeight * (invertY ? ratio : 1 - ratio);
+  };
+
+  // skip labels so they don't overlap
+  const labelEvery = Math.ceil(labels.length / 12);
+
+  /**
+   * Split a series into runs of consecutive non-null points
+   */
+  function getSegments(values) {
+    const segments = [];
+    let current = [];
+    values.forEach((value, idx) => {
+      if (value == null) {
+        if (current.length) segments.push(current);
+        current = [];
+      } else {
+        current.push(`${x(idx)},${y(value)}`);
+      }
+    });
+    if (current.length) segments.push(current);
+    return segments;
+  }
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto">
+        {/* Grid and Y axis */}
+        {(yTicks || getTicks(min, max)).map(tick => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left} x2={WIDTH - PADDING.right}
+              y1={y(tick)} y2={y(tick)}
+              stroke="#e5e7eb"
+            />
+            <text x={PADDING.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+              {formatY(tick)}
+            </text>
+          </g>
+        ))}
+
+        {/* X axis labels */}
+        {labels.map((label, idx) => idx % labelEvery === 0 && (
+          <text key={idx} x={x(idx)} y={height - 8} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {label}
+          </text>
+        ))}
+
+        {/* Series */}
+        {series.map(s => (
+          <g key={s.name}>
+            {getSegments(s.values).map((points, idx) => (
+              <polyline
+                key={idx}
+                points={points.join(' ')}
+                fill="none"
+                stroke={s.color}
+                strokeWidth={s.dashed ? 1.5 : 2}
+                strokeDasharray={s.dashed ? '4 3' : undefined}
+              />
+            ))}
+            {s.values.map((value, idx) => value != null && (
+              <circle key={idx} cx={x(idx)} cy={y(value)} r="3" fill={s.color}>
+                <title>{s.tooltips?.[idx] || `${s.name} - ${labels[idx]}: ${formatY(value)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      {/* Legend */}
+      <div className="flex flex-wrap justify-center gap-4 mt-2 text-sm text-gray-700">
+        {series.map(s => (
+          <span key={s.name} className="flex items-center gap-1.5">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: s.color }} />
+            {s.name}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
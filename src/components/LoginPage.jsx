@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { ArrowLeft, Lock } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * LoginPage Component
+ *
+ * Sign-in form for local league accounts.
+ * Only commissioners can open the season editor.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onLoggedIn - Called with { token, user } after a successful login
+ * @param {Function} props.onBack - Return to the dashboard
+ */
+export default function LoginPage({ onLoggedIn, onBack }) {
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // LOGIN
+  // ============================================
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await response.json();
+
+      if (data.token) {
+        onLoggedIn(data);
+      } else {
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to log in:', err);
+      setError('❌ Network error while logging in');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 p-6">
+      <div className="max-w-sm mx-auto">
+        <button
+          onClick={onBack}
+          className="mb-4 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors flex items-center gap-2"
+        >
+          <ArrowLeft size={18} />
+          Back to Dashboard
+        </button>
+
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4 flex items-center gap-2">
+            <Lock size={22} />
+            Commissioner Login
+          </h1>
+
+          <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="w-full mb-4 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+          />
+
+          <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full mb-4 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+          />
+
+          {error && (
+            <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800 text-sm">
+              {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={busy || !username || !password}
+            className="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 transition-colors"
+          >
+            {busy ? 'Signing in...' : 'Log In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
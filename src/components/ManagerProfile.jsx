@@ -0,0 +1,237 @@
+// ==================================
+// ManagerProfile.jsx
+// ==================================
+
+import React, { useState, useEffect } from 'react';
+import { Trophy, Calendar, Medal, TrendingUp } from 'lucide-react';
+import StatsCard from './StatsCard';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const BRACKET_LABELS = { playoff: 'Playoffs', toilet: 'Toilet bowl', out: 'Consolation' };
+
+function formatRecord({ wins, losses, ties }) {
+  return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+/**
+ * Postseason summary for one season
+ * Seasons entered before weekly scores only have the playoff flags
+ */
+function describePostseason(season) {
+  if (season.playoff?.pChampion) return 'Champion';
+
+  const played = Object.entries(season.playoffStats || {})
+    .filter(([, stats]) => stats.wins + stats.losses + stats.ties > 0)
+    .map(([bracket, stats]) => `${BRACKET_LABELS[bracket]} ${formatRecord(stats)}`);
+  if (played.length > 0) return played.join(', ');
+
+  if (season.playoff?.made) return `Made playoffs (${season.playoff.rounds} rounds)`;
+  return '-';
+}
+
+/**
+ * ManagerProfile Component
+ *
+ * One manager's career: every season's finish and record, the team
+ * names they've used, postseason results, championships, best and
+ * worst weeks, and the opponents they've faced most.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.managers - Every manager across all seasons
+ * @param {string} props.initialName - Manager to open with
+ * @param {Function} props.onOpenRivalry - Called with (a, b) to open the rivalry page
+ */
+export default function ManagerProfile({ managers, initialName, onOpenRivalry }) {
+  // ==================================
+  // STATE MANAGEMENT
+  // ==================================
+
+  const [name, setName] = useState(initialName || managers[0] || '');
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // ==================================
+  // DATA FETCHING
+  // ==================================
+
+  useEffect(() => {
+    if (name) loadProfile();
+  }, [name]);
+
+  async function loadProfile() {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/managers/${encodeURIComponent(name)}`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setProfile(data);
+      } else {
+        setProfile(null);
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to load manager profile:', err);
+      setError('❌ Failed to load manager profile');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ==================================
+  // RENDER
+  // ==================================
+
+  const renderWeeks = (title, weeks) => (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <h3 className="text-lg font-bold text-gray-900 mb-2">{title}</h3>
+      <table className="w-full text-sm">
+        <tbody>
+          {weeks.map(game => (
+            <tr key={`${game.year}-${game.week}`} className="border-b border-gray-100">
+              <td className="py-1.5 text-gray-600">{game.year} wk {game.week}</td>
+              <td className="py-1.5 text-gray-700">vs {game.opponent}</td>
+              <td className="py-1.5 text-right font-semibold">{game.score.toFixed(2)}</td>
+              <td className="py-1.5 text-right text-gray-500">{game.opponentScore.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const finishes = (profile?.seasons || []).map(s => s.place).filter(place => place != null);
+  const averageFinish = finishes.length
+    ? (finishes.reduce((sum, place) => sum + place, 0) / finishes.length).toFixed(1)
+    : '-';
+
+  return (
+    <div>
+      {/* Manager Picker */}
+      <div className="flex items-center gap-3 mb-6">
+        <select
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          {managers.map(manager => <option key={manager} value={manager}>{manager}</option>)}
+        </select>
+        {loading && <span className="text-sm text-gray-500">Loading...</span>}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">{error}</div>
+      )}
+
+      {profile && (
+        <>
+          {/* Career Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <StatsCard
+              title="Career Record"
+              value={formatRecord(profile.career)}
+              icon={TrendingUp}
+              subtitle={`PF ${profile.career.pf.toFixed(1)} - PA ${profile.career.pa.toFixed(1)}`}
+            />
+            <StatsCard
+              title="Seasons"
+              value={profile.career.seasons}
+              icon={Calendar}
+              subtitle={`Average finish ${averageFinish}`}
+            />
+            <StatsCard
+              title="Playoff Titles"
+              value={profile.championships.playoff.length}
+              icon={Trophy}
+              subtitle={profile.championships.playoff.join(', ') || 'None yet'}
+            />
+            <StatsCard
+              title="Regular Season Titles"
+              value={profile.championships.regularSeason.length}
+              icon={Medal}
+              subtitle={profile.championships.regularSeason.join(', ') || 'None yet'}
+            />
+          </div>
+
+          {/* Season by Season */}
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2">Season</th>
+                  <th className="py-2">Team</th>
+                  <th className="py-2 text-center">Finish</th>
+                  <th className="py-2 text-center">Record</th>
+                  <th className="py-2 text-right">PF</th>
+                  <th className="py-2 text-right">PA</th>
+                  <th className="py-2 pl-4">Postseason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {profile.seasons.map(season => (
+                  <tr key={season.year} className="border-b border-gray-100">
+                    <td className="py-2 font-medium">{season.year}</td>
+                    <td className="py-2 text-gray-700">{season.team}</td>
+                    <td className="py-2 text-center font-bold">
+                      {season.place ?? '-'}
+                      {season.rChampion && (
+                        <span className="ml-1 text-xs text-blue-700" title="Regular Season Champion">RS</span>
+                      )}
+                    </td>
+                    <td className="py-2 text-center">{formatRecord(season)}</td>
+                    <td className="py-2 text-right">{season.pf.toFixed(1)}</td>
+                    <td className="py-2 text-right">{season.pa.toFixed(1)}</td>
+                    <td className={`py-2 pl-4 ${season.playoff?.pChampion ? 'font-bold text-yellow-700' : 'text-gray-600'}`}>
+                      {describePostseason(season)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Team Names */}
+          <div className="mb-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-2">Team Names</h3>
+            <div className="flex flex-wrap gap-2">
+              {profile.teamNames.map(({ team, years }) => (
+                <span key={team} className="px-3 py-1 bg-indigo-50 text-indigo-800 rounded-full text-sm">
+                  {team} <span className="text-indigo-500">({years.join(', ')})</span>
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Best and Worst Weeks */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+            {renderWeeks('Best Weeks', profile.bestWeeks)}
+            {renderWeeks('Worst Weeks', profile.worstWeeks)}
+          </div>
+
+          {/* Most Common Opponents */}
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h3 className="text-lg font-bold text-gray-900 mb-2">Most Common Opponents</h3>
+            <table className="w-full text-sm">
+              <tbody>
+                {profile.opponents.slice(0, 5).map(opponent => (
+                  <tr
+                    key={opponent.name}
+                    onClick={() => onOpenRivalry(profile.name, opponent.name)}
+                    className="border-b border-gray-100 cursor-pointer hover:bg-indigo-50"
+                  >
+                    <td className="py-1.5 text-gray-900">{opponent.name}</td>
+                    <td className="py-1.5 text-center text-gray-600">{opponent.games} games</td>
+                    <td className="py-1.5 text-right font-medium">{formatRecord(opponent)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const TEAM_STATES = ['active', 'inactive', 'jake2020', 'botted'];
+
+/**
+ * NewSeasonWizard Component
+ *
+ * Starts a new season from the previous year's roster.
+ * The commissioner can rename teams, add or drop managers and set divisions,
+ * then the server builds the empty weeks for the season's settings.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.previousYear - Most recent existing season to copy teams from
+ * @param {Object} props.headers - Auth headers for the signed-in commissioner
+ * @param {Function} props.onCreated - Called with the new year once the season is saved
+ * @param {Function} props.onCancel - Called when the wizard is closed without saving
+ */
+export default function NewSeasonWizard({ previousYear, headers, onCreated, onCancel }) {
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [year, setYear] = useState(previousYear ? String(Number(previousYear) + 1) : '');
+  const [teams, setTeams] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  // ============================================
+  // DATA FETCHING
+  // ============================================
+
+  /**
+   * Copy the previous season's roster when the wizard opens
+   */
+  useEffect(() => {
+    if (previousYear) {
+      loadPreviousTeams();
+    }
+  }, [previousYear]);
+
+  async function loadPreviousTeams() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${previousYear}/weeks`);
+      const data = await response.json();
+
+      setTeams((data.teams || []).map(({ name, team, state, division }) => ({ name, team, state, division: division || '' })));
+    } catch (err) {
+      console.error('Failed to load previous roster:', err);
+      setError('⚠️ Failed to load previous roster');
+    }
+  }
+
+  // ============================================
+  // ROSTER MANAGEMENT
+  // ============================================
+
+  /**
+   * Update a single field on a roster row
+   */
+  function updateTeam(index, field, value) {
+    setTeams(prev => prev.map((team, idx) =>
+      idx === index ? { ...team, [field]: value } : team
+    ));
+  }
+
+  function addTeam() {
+    setTeams(prev => [...prev, { name: '', team: '', state: 'active', division: '' }]);
+  }
+
+  function removeTeam(index) {
+    setTeams(prev => prev.filter((_, idx) => idx !== index));
+  }
+
+  /**
+   * Create the season on the backend
+   */
+  async function createSeason() {
+    setCreating(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ year, teams })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        onCreated(data.year);
+      } else {
+        setError(`❌ Failed to create season: ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to create season:', err);
+      setError('❌ Network error while creating season');
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6 border-2 border-green-300">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">New Season</h2>
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {/* Year */}
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Year
+      </label>
+      <input
+        type="number"
+        value={year}
+        onChange={(e) => setYear(e.target.value)}
+        className="w-full px-4 py-2 mb-4 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+      />
+
+      {/* Roster */}
+      <p className="text-sm text-gray-600 mb-2">
+        {previousYear ? `Roster copied from ${previousYear}. ` : ''}
+        Add or drop managers before creating the season.
+      </p>
+
+      <div className="space-y-2 mb-4">
+        {teams.map((team, idx) => (
+          <div key={idx} className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="Manager"
+              value={team.name}
+              onChange={(e) => updateTeam(idx, 'name', e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+            />
+            <input
+              type="text"
+              placeholder="Team name"
+              value={team.team}
+              onChange={(e) => updateTeam(idx, 'team', e.target.value)}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+            />
+            <input
+              type="text"
+              placeholder="Division"
+              value={team.division}
+              onChange={(e) => updateTeam(idx, 'division', e.target.value)}
+              className="w-28 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+            />
+            <select
+              value={team.state}
+              onChange={(e) => updateTeam(idx, 'state', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded bg-white"
+            >
+              {TEAM_STATES.map(state => (
+                <option key={state} value={state}>{state}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => removeTeam(idx)}
+              className="text-red-600 hover:text-red-800"
+            >
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={addTeam}
+        className="w-full py-2 mb-4 border-2 border-dashed border-gray-300 rounded-lg text-gray-600 hover:border-indigo-500 hover:text-indigo-600 transition-colors flex items-center justify-center gap-2"
+      >
+        <Plus size={16} />
+        Add Manager
+      </button>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">
+          {error}
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={createSeason}
+          disabled={creating || !year || teams.length < 2}
+          className="px-6 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors"
+        >
+          {creating ? 'Creating...' : `Create ${year} Season (${teams.length} teams)`}
+        </button>
+      </div>
+    </div>
+  );
+}
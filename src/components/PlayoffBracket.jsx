@@ -6,12 +6,12 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
 /**
  * PlayoffBracket Component
  * 
- * Displays playoff bracket for weeks 15-17
+ * Displays the playoff bracket for the season's playoff weeks (from its settings)
  * Shows three segments: Playoff, Toilet Bowl, and Out games
  */
 
 export default function PlayoffBracket({ year }) {
-    const [weeks, setWeeks] = useState({ 15: null, 16: null, 17: null });
+    const [weeks, setWeeks] = useState([]); // [{ weekNum, week }] in playoff order
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
@@ -24,13 +24,10 @@ export default function PlayoffBracket({ year }) {
             const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/weeks`);
             const data = await response.json();
 
-            const bracketWeeks = {
-                15: data.weeks?.['15'] || null,
-                16: data.weeks?.['16'] || null,
-                17: data.weeks?.['17'] || null
-            };
-
-            setWeeks(bracketWeeks);
+            setWeeks((data.playoffWeeks || []).map(weekNum => ({
+                weekNum,
+                week: data.weeks?.[weekNum] || null
+            })));
         } catch (err) {
             console.error('Failed to load bracket data:', err);
         } finally {
@@ -38,38 +35,24 @@ export default function PlayoffBracket({ year }) {
         }
     }
 
-    function categorizeMatchups(weekMatchups, weekNum) {
+    /**
+     * Split a playoff week by each matchup's status
+     * (the server fills status and label when it advances the bracket)
+     */
+    function categorizeMatchups(weekMatchups) {
+        const categories = { playoff: [], toiletBowl: [], out: [] };
+
         if (!weekMatchups || !weekMatchups.matchups) {
-            return { playoff: [], toiletBowl: [], out: [] };
+            return categories;
         }
 
-        const matchups = weekMatchups.matchups;
-
-        if (weekNum === 15) {
-            return {
-                playoff: matchups.slice(0, 4),
-                toiletBowl: matchups.slice(4, 6),
-                out: matchups.slice(6)
-            };
-        } else if (weekNum === 16) {
-            return {
-                playoff: matchups.slice(0, 2),
-                toiletBowl: matchups.slice(2, 3),
-                out: matchups.slice(3)
-            };
-        } else if(weekNum === 17) {
-            return {
-                playoff: matchups.slice(0, 1),
-                toiletBowl: [],
-                out: matchups.slice(1)
-            };
-        }
+        weekMatchups.matchups.forEach(matchup => {
+            if (matchup.status === 'playoff') categories.playoff.push(matchup);
+            else if (matchup.status === 'toilet') categories.toiletBowl.push(matchup);
+            else categories.out.push(matchup);
+        });
 
-        return {
-            playoff: matchups.slice(0, 2),
-            toiletBowl: matchups.slice(2, 4),
-            out: matchups.slice(4)
-        };
+        return categories;
     }
 
     function getWinner(matchup) {
@@ -99,6 +82,11 @@ export default function PlayoffBracket({ year }) {
 
         return (
             <div key={index} className="bg-white border-2 border-gray-300 rounded-lg overflow-hidden shadow-sm">
+                {matchup.label && (
+                    <div className="px-3 py-1 text-xs text-gray-500 bg-gray-50 border-b border-gray-200">
+                        {matchup.label}
+                    </div>
+                )}
                 <div className={`p-3 flex justify-between items-center ${
                     winner === 'team1' ? 'bg-green-50 border-b-2 border-green-500' : 'border-b border-gray-200'
                 }`}>
@@ -128,10 +116,39 @@ export default function PlayoffBracket({ year }) {
         );
     }
 
+    /**
+     * Round name from how many playoff games are left
+     */
+    function getRoundName(playoffGames, idx) {
+        if (playoffGames === 1) return 'Championship';
+        if (playoffGames === 2) return 'Semifinals';
+        if (playoffGames === 4) return 'Quarterfinals';
+        return `Round ${idx + 1}`;
+    }
+
     // get categorized data for all weeks
-    const week15Data = categorizeMatchups(weeks[15], 15);
-    const week16Data = categorizeMatchups(weeks[16], 16);
-    const week17Data = categorizeMatchups(weeks[17], 17);
+    const weekData = weeks.map(({ week }) => categorizeMatchups(week));
+    const columns = { gridTemplateColumns: `repeat(${Math.max(weeks.length, 1)}, minmax(0, 1fr))` };
+    const hasGames = weeks.some(({ week }) => (week?.matchups || []).some(m => m.team1 || m.team2));
+
+    /**
+     * One row of the bracket: a column per playoff week
+     */
+    function renderSection(category, emptyText) {
+        return (
+            <div className="grid gap-8" style={columns}>
+                {weekData.map((data, idx) => (
+                    <div key={weeks[idx].weekNum} className="flex flex-col justify-center space-y-2.5">
+                        {data[category].length === 0 && emptyText ? (
+                            <div className="text-gray-400 text-sm text-center">{emptyText}</div>
+                        ) : (
+                            data[category].map((matchup, i) => renderMatchup(matchup, i))
+                        )}
+                    </div>
+                ))}
+            </div>
+        );
+    }
 
     if (loading) {
         return (
@@ -144,19 +161,24 @@ export default function PlayoffBracket({ year }) {
         );
     }
 
-    if (year === 2020 || year === '2020') {
+    if (!hasGames) {
         return (
             <div className="bg-yellow-50 border-2 border-yellow-300 rounded-lg p-8 text-center">
                 <p className="text-yellow-800 font-semibold text-lg">
-                    ⚠️ Playoff bracket not available for 2020 season
+                    ⚠️ Playoff bracket not available for {year} season
                 </p>
                 <p className="text-yellow-700 text-sm mt-2">
-                    The 2020 season had an irregular playoff format
+                    {weeks.length === 0
+                        ? 'This season has no playoffs'
+                        : 'No playoff games have been entered yet'}
                 </p>
             </div>
         );
     }
 
+    const firstWeek = weeks[0].weekNum;
+    const lastWeek = weeks[weeks.length - 1].weekNum;
+
     return (
         <div className="space-y-6">
             <div className="text-center mb-8">
@@ -164,23 +186,19 @@ export default function PlayoffBracket({ year }) {
                     <Trophy className="text-yellow-500" size={32} />
                     {year} Playoff Bracket
                 </h2>
-                <p className="text-gray-600">Weeks 15-17 • Championship Tournament</p>
+                <p className="text-gray-600">
+                    {firstWeek === lastWeek ? `Week ${firstWeek}` : `Weeks ${firstWeek}-${lastWeek}`} • Championship Tournament
+                </p>
             </div>
 
             {/* Week Headers */}
-            <div className="grid grid-cols-3 gap-8 mb-3">
-                <div className="text-center">
-                    <h3 className="text-xl font-bold text-indigo-600">Week 15</h3>
-                    <p className="text-sm text-gray-500">Quarterfinals</p>
-                </div>
-                <div className="text-center">
-                    <h3 className="text-xl font-bold text-indigo-600">Week 16</h3>
-                    <p className="text-sm text-gray-500">Semifinals</p>
-                </div>
-                <div className="text-center">
-                    <h3 className="text-xl font-bold text-indigo-600">Week 17</h3>
-                    <p className="text-sm text-gray-500">Championship</p>
-                </div>
+            <div className="grid gap-8 mb-3" style={columns}>
+                {weeks.map(({ weekNum }, idx) => (
+                    <div key={weekNum} className="text-center">
+                        <h3 className="text-xl font-bold text-indigo-600">Week {weekNum}</h3>
+                        <p className="text-sm text-gray-500">{getRoundName(weekData[idx].playoff.length, idx)}</p>
+                    </div>
+                ))}
             </div>
 
             {/* PLAYOFF BRACKET SECTION */}
@@ -189,23 +207,7 @@ export default function PlayoffBracket({ year }) {
                     <Trophy className="w-6 h-6 text-yellow-600" />
                     <h3 className="text-xl font-bold text-gray-800">Playoff Bracket</h3>
                 </div>
-                
-                <div className="grid grid-cols-3 gap-8">
-                    {/* Week 15 Playoff - 4 games */}
-                    <div className="flex flex-col justify-center space-y-2.5">
-                        {week15Data.playoff.map((matchup, idx) => renderMatchup(matchup, idx))}
-                    </div>
-
-                    {/* Week 16 Playoff - 2 games (centered) */}
-                    <div className="flex flex-col justify-center space-y-2.5 style={{ minHeight: '440px' }}">
-                        {week16Data.playoff.map((matchup, idx) => renderMatchup(matchup, idx))}
-                    </div>
-
-                    {/* Week 17 Playoff - 1 game (centered) */}
-                    <div className="flex flex-col justify-center space-y-2.5 style={{ minHeight: '440px' }}">
-                        {week17Data.playoff.map((matchup, idx) => renderMatchup(matchup, idx))}
-                    </div>
-                </div>
+                {renderSection('playoff')}
             </div>
 
             {/* TOILET BOWL SECTION */}
@@ -214,23 +216,7 @@ export default function PlayoffBracket({ year }) {
                     <span className="text-2xl">🧻</span>
                     <h3 className="text-xl font-bold text-gray-800">Toilet Bowl</h3>
                 </div>
-                
-                <div className="grid grid-cols-3 gap-8">
-                    {/* Week 15 Toilet Bowl - 2 games */}
-                    <div className="flex flex-col justify-center space-y-2.5">
-                        {week15Data.toiletBowl.map((matchup, idx) => renderMatchup(matchup, idx))}
-                    </div>
-
-                    {/* Week 16 Toilet Bowl - 1 game (centered) */}
-                    <div className="flex flex-col justify-center space-y-2.5 style={{ minHeight: '220px' }}">
-                        {week16Data.toiletBowl.map((matchup, idx) => renderMatchup(matchup, idx))}
-                    </div>
-
-                    {/* Week 17 Toilet Bowl - 0 games */}
-                    <div className="flex flex-col justify-center items-center space-y-2.5" style={{ minHeight: '220px' }}>
-                        {week17Data.toiletBowl.map((matchup, idx) => renderMatchup(matchup, idx))}
-                    </div>
-                </div>
+                {renderSection('toiletBowl')}
             </div>
 
             {/* OUT GAMES SECTION */}
@@ -239,35 +225,7 @@ export default function PlayoffBracket({ year }) {
                     <span className="text-2xl">🏈</span>
                     <h3 className="text-xl font-bold text-gray-800">Out Games</h3>
                 </div>
-                
-                <div className="grid grid-cols-3 gap-8">
-                    {/* Week 15 Out Games */}
-                    <div className="flex flex-col justify-center space-y-2.5 style={{ minHeight: '150px' }}>">
-                        {week15Data.out.length === 0 ? (
-                            <div className="text-gray-400 text-sm text-center">No games</div>
-                        ) : (
-                            week15Data.out.map((matchup, idx) => renderMatchup(matchup, idx))
-                        )}
-                    </div>
-
-                    {/* Week 16 Out Games */}
-                    <div className="flex flex-col justify-center space-y-2.5 style={{ minHeight: '150px' }}>">
-                        {week16Data.out.length === 0 ? (
-                            <div className="text-gray-400 text-sm text-center">No games</div>
-                        ) : (
-                            week16Data.out.map((matchup, idx) => renderMatchup(matchup, idx))
-                        )}
-                    </div>
-
-                    {/* Week 17 Out Games */}
-                    <div className="flex flex-col justify-center space-y-2.5 style={{ minHeight: '150px' }}>">
-                        {week17Data.out.length === 0 ? (
-                            <div className="text-gray-400 text-sm text-center">No games</div>
-                        ) : (
-                            week17Data.out.map((matchup, idx) => renderMatchup(matchup, idx))
-                        )}
-                    </div>
-                </div>
+                {renderSection('out', 'No games')}
             </div>
                     
             <div className="mt-8 bg-white rounded-lg shadow-md p-4">
@@ -0,0 +1,127 @@
+// ==================================
+// RecordBook.jsx
+// ==================================
+
+import React, { useState, useEffect } from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const GAME_TYPE_LABELS = { playoff: 'Playoff', toilet: 'Toilet', out: 'Consolation' };
+
+/**
+ * RecordBook Component
+ *
+ * League records rebuilt from every matchup by GET /api/records.
+ * Each entry links back to the season it was set in.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onOpenSeason - Called with a year to open that season's standings
+ */
+export default function RecordBook({ onOpenSeason }) {
+  // ==================================
+  // STATE MANAGEMENT
+  // ==================================
+
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // ==================================
+  // DATA FETCHING
+  // ==================================
+
+  useEffect(() => {
+    loadRecords();
+  }, []);
+
+  async function loadRecords() {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/records`);
+      const data = await response.json();
+
+      if (response.ok) {
+        setRecords(data.records);
+      } else {
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to load records:', err);
+      setError('❌ Failed to load records');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // ==================================
+  // RENDER
+  // ==================================
+
+  /**
+   * When and where a record was set, linking to the season
+   */
+  const renderWhen = (record, entry) => (
+    <button onClick={() => onOpenSeason(entry.year)} className="text-indigo-600 hover:underline">
+      {entry.year}{entry.week ? ` wk ${entry.week}` : ''}
+      {record.kind === 'streak' && ` - ${entry.to.year} wk ${entry.to.week}`}
+    </button>
+  );
+
+  /**
+   * Record value and the people involved, by kind of record
+   */
+  const renderEntry = (record, entry) => {
+    if (record.kind === 'streak') {
+      return <span><strong>{entry.value} games</strong> - {entry.name}</span>;
+    }
+    if (record.kind === 'season') {
+      return <span><strong>{entry.value.toFixed(2)}</strong> - {entry.name} <span className="text-gray-500">({entry.team})</span></span>;
+    }
+    return (
+      <span>
+        <strong>{entry.value.toFixed(2)}</strong> - {entry.name} {entry.score.toFixed(2)}, {entry.opponent} {entry.opponentScore.toFixed(2)}
+        {GAME_TYPE_LABELS[entry.type] && (
+          <span className="ml-1 text-xs text-gray-500">({GAME_TYPE_LABELS[entry.type]})</span>
+        )}
+      </span>
+    );
+  };
+
+  if (loading) {
+    return <p className="text-gray-600 text-center py-8">Loading records...</p>;
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {records.map(record => (
+          <div key={record.key} className="border border-gray-200 rounded-lg p-4">
+            <h3 className="text-lg font-bold text-gray-900 mb-2">{record.title}</h3>
+            {record.entries.length === 0 ? (
+              <p className="text-sm text-gray-500">No games yet</p>
+            ) : (
+              <ol className="space-y-1.5 text-sm">
+                {record.entries.map((entry, idx) => (
+                  <li
+                    key={idx}
+                    className={`flex items-start justify-between gap-3 ${idx === 0 ? 'text-gray-900' : 'text-gray-600'}`}
+                  >
+                    <span>
+                      <span className="inline-block w-5 text-gray-400">{idx + 1}.</span>
+                      {renderEntry(record, entry)}
+                    </span>
+                    <span className="whitespace-nowrap">{renderWhen(record, entry)}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+// ==================================
+// RivalryPage.jsx
+// ==================================
+
+import React, { useState, useEffect } from 'react';
+import { ArrowLeftRight, Flame, Swords, Trophy, Zap } from 'lucide-react';
+import StatsCard from './StatsCard';
+import LineChart from './LineChart';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const GAME_TYPE_LABELS = { regular: 'Regular', playoff: 'Playoff', toilet: 'Toilet', out: 'Consolation' };
+const GAME_TYPE_CLASSES = {
+  regular: 'bg-gray-100 text-gray-700',
+  playoff: 'bg-yellow-100 text-yellow-800',
+  toilet: 'bg-blue-100 text-blue-800',
+  out: 'bg-slate-100 text-slate-700'
+};
+
+function formatRecord({ wins, losses, ties }) {
+  return ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+}
+
+/**
+ * RivalryPage Component
+ *
+ * Every game two managers have played against each other, with the
+ * series record, longest streak, biggest blowout, playoff meetings
+ * and a chart of each side's cumulative wins.
+ *
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.managers - Every manager across all seasons
+ * @param {Object} props.initialPair - Optional { a, b } to open with
+ */
+export default function RivalryPage({ managers, initialPair }) {
+  // ==================================
+  // STATE MANAGEMENT
+  // ==================================
+
+  const [a, setA] = useState(initialPair?.a || managers[0] || '');
+  const [b, setB] = useState(initialPair?.b || managers[1] || '');
+  const [rivalry, setRivalry] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // ==================================
+  // DATA FETCHING
+  // ==================================
+
+  useEffect(() => {
+    if (a && b && a !== b) loadRivalry();
+    else setRivalry(null);
+  }, [a, b]);
+
+  async function loadRivalry() {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/rivalry/${encodeURIComponent(a)}/${encodeURIComponent(b)}`
+      );
+      const data = await response.json();
+
+      if (response.ok) {
+        setRivalry(data);
+      } else {
+        setRivalry(null);
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to load rivalry:', err);
+      setError('❌ Failed to load rivalry');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function swapManagers() {
+    setA(b);
+    setB(a);
+  }
+
+  // ==================================
+  // RENDER
+  // ==================================
+
+  const managerSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+    >
+      {managers.map(name => <option key={name} value={name}>{name}</option>)}
+    </select>
+  );
+
+  const games = rivalry?.games || [];
+  const { longestStreak, biggestBlowout } = rivalry || {};
+  const playoffRecord = (rivalry?.playoffMeetings || []).reduce((rec, game) => ({
+    wins: rec.wins + (game.winner === a ? 1 : 0),
+    losses: rec.losses + (game.winner === b ? 1 : 0),
+    ties: rec.ties + (game.winner ? 0 : 1)
+  }), { wins: 0, losses: 0, ties: 0 });
+
+  return (
+    <div>
+      {/* Manager Pickers */}
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        {managerSelect(a, setA)}
+        <button
+          onClick={swapManagers}
+          className="p-2 rounded-lg text-gray-600 hover:bg-gray-100"
+          title="Swap managers"
+        >
+          <ArrowLeftRight size={18} />
+        </button>
+        {managerSelect(b, setB)}
+        {loading && <span className="text-sm text-gray-500">Loading...</span>}
+      </div>
+
+      {a === b && <p className="text-gray-500 text-center py-8">Pick two different managers</p>}
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">{error}</div>
+      )}
+
+      {rivalry && games.length === 0 && (
+        <p className="text-gray-500 text-center py-8">{a} and {b} have never played each other</p>
+      )}
+
+      {rivalry && games.length > 0 && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <StatsCard
+              title="Series"
+              value={formatRecord(rivalry.record)}
+              icon={Swords}
+              subtitle={`${a}'s record, PF ${rivalry.record.pf.toFixed(1)} - PA ${rivalry.record.pa.toFixed(1)}`}
+            />
+            <StatsCard
+              title="Longest Streak"
+              value={longestStreak ? `${longestStreak.length}W` : '-'}
+              icon={Flame}
+              subtitle={longestStreak
+                ? `${longestStreak.winner}, ${longestStreak.from.year} wk ${longestStreak.from.week} - ${longestStreak.to.year} wk ${longestStreak.to.week}`
+                : 'No wins yet'}
+            />
+            <StatsCard
+              title="Biggest Blowout"
+              value={biggestBlowout ? biggestBlowout.margin.toFixed(2) : '-'}
+              icon={Zap}
+              subtitle={biggestBlowout
+                ? `${biggestBlowout.winner} ${biggestBlowout.winnerScore.toFixed(2)}-${biggestBlowout.loserScore.toFixed(2)}, ${biggestBlowout.year} wk ${biggestBlowout.week}`
+                : 'No decided games'}
+            />
+            <StatsCard
+              title="Playoff Meetings"
+              value={rivalry.playoffMeetings.length}
+              icon={Trophy}
+              subtitle={rivalry.playoffMeetings.length > 0
+                ? `${a} ${formatRecord(playoffRecord)}`
+                : 'Never met in the playoffs'}
+            />
+          </div>
+
+          {/* Cumulative Record Chart */}
+          <div className="border border-gray-200 rounded-lg p-4 mb-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-2">Cumulative Wins</h3>
+            <LineChart
+              labels={games.map(g => `'${String(g.year).slice(2)} W${g.week}`)}
+              series={[
+                { name: a, color: '#4f46e5', values: games.map(g => g.record.wins) },
+                { name: b, color: '#dc2626', values: games.map(g => g.record.losses) }
+              ]}
+              yDomain={[0, Math.max(rivalry.record.wins, rivalry.record.losses, 1)]}
+              formatY={value => Math.round(value)}
+            />
+          </div>
+
+          {/* Every Game */}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2">Season</th>
+                <th className="py-2">Week</th>
+                <th className="py-2">Game</th>
+                <th className="py-2 text-right">{a}</th>
+                <th className="py-2 text-right">{b}</th>
+                <th className="py-2 text-right">Margin</th>
+                <th className="py-2 text-center">Series</th>
+              </tr>
+            </thead>
+            <tbody>
+              {games.map(game => (
+                <tr key={`${game.year}-${game.week}`} className="border-b border-gray-100">
+                  <td className="py-2">{game.year}</td>
+                  <td className="py-2">{game.week}</td>
+                  <td className="py-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${GAME_TYPE_CLASSES[game.type]}`}>
+                      {GAME_TYPE_LABELS[game.type]}
+                    </span>
+                    {game.label && <span className="ml-2 text-gray-500">{game.label}</span>}
+                  </td>
+                  <td className={`py-2 text-right ${game.winner === a ? 'font-bold text-green-600' : 'text-gray-700'}`}>
+                    {game.score.toFixed(2)}
+                  </td>
+                  <td className={`py-2 text-right ${game.winner === b ? 'font-bold text-green-600' : 'text-gray-700'}`}>
+                    {game.opponentScore.toFixed(2)}
+                  </td>
+                  <td className="py-2 text-right text-gray-600">
+                    {game.margin > 0 ? '+' : ''}{game.margin.toFixed(2)}
+                  </td>
+                  <td className="py-2 text-center text-gray-600">{formatRecord(game.record)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { Shuffle, Check, Plus, Trash2, X } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * ScheduleGenerator Component
+ *
+ * Builds a round-robin regular-season schedule on the server,
+ * shows a preview, and writes it into the season once accepted.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.year - Season being scheduled
+ * @param {Array} props.teams - season.teams entries
+ * @param {number} props.regularSeasonWeeks - The season's regular-season length (the most weeks allowed)
+ * @param {Object} props.headers - Auth headers for the signed-in commissioner
+ * @param {Function} props.onAccepted - Called after the schedule is saved
+ * @param {Function} props.onCancel - Called when the panel is closed
+ */
+export default function ScheduleGenerator({ year, teams, regularSeasonWeeks = 14, headers, onAccepted, onCancel }) {
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [weekCount, setWeekCount] = useState(regularSeasonWeeks);
+  const [minRematchGap, setMinRematchGap] = useState('');
+  const [rivalryWeeks, setRivalryWeeks] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  function buildOptions(seed) {
+    return {
+      weeks: weekCount,
+      minRematchGap: minRematchGap === '' ? null : Number(minRematchGap),
+      rivalryWeeks: rivalryWeeks.map(r => ({ week: Number(r.week), pairs: [[r.team1, r.team2]] })),
+      seed
+    };
+  }
+
+  // ============================================
+  // RIVALRY WEEKS
+  // ============================================
+
+  function addRivalry() {
+    setRivalryWeeks(prev => [...prev, { week: weekCount, team1: '', team2: '' }]);
+  }
+
+  function updateRivalry(index, field, value) {
+    setRivalryWeeks(prev => prev.map((r, idx) => idx === index ? { ...r, [field]: value } : r));
+  }
+
+  function removeRivalry(index) {
+    setRivalryWeeks(prev => prev.filter((_, idx) => idx !== index));
+  }
+
+  // ============================================
+  // PREVIEW & ACCEPT
+  // ============================================
+
+  /**
+   * Ask the server for a schedule - a null seed reshuffles
+   */
+  async function loadPreview(seed = null) {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/schedule/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildOptions(seed))
+      });
+      const data = await response.json();
+
+      if (data.weeks) {
+        setPreview(data);
+      } else {
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to preview schedule:', err);
+      setError('❌ Network error while generating schedule');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  /**
+   * Save the previewed schedule (same seed -> same matchups)
+   */
+  async function acceptSchedule() {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/schedule`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(buildOptions(preview.seed))
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onAccepted();
+      } else {
+        setError(`❌ Failed to save schedule: ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to save schedule:', err);
+      setError('❌ Network error while saving schedule');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6 border-2 border-indigo-300">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Generate {year} Schedule</h2>
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {/* Options */}
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Regular-season weeks
+          </label>
+          <input
+            type="number"
+            min="1"
+            max={regularSeasonWeeks}
+            value={weekCount}
+            onChange={(e) => setWeekCount(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Min. weeks between rematches
+          </label>
+          <input
+            type="number"
+            min="1"
+            placeholder="Auto"
+            value={minRematchGap}
+            onChange={(e) => setMinRematchGap(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+          />
+        </div>
+      </div>
+
+      {/* Rivalry weeks */}
+      <div className="space-y-2 mb-4">
+        {rivalryWeeks.map((rivalry, idx) => (
+          <div key={idx} className="flex items-center gap-2">
+            <span className="text-sm text-gray-600">Week</span>
+            <input
+              type="number"
+              min="1"
+              max={weekCount}
+              value={rivalry.week}
+              onChange={(e) => updateRivalry(idx, 'week', e.target.value)}
+              className="w-20 px-3 py-2 border border-gray-300 rounded"
+            />
+            {['team1', 'team2'].map(field => (
+              <select
+                key={field}
+                value={rivalry[field]}
+                onChange={(e) => updateRivalry(idx, field, e.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded bg-white"
+              >
+                <option value="">Select team...</option>
+                {teams.map(team => (
+                  <option key={team.name} value={team.name}>{team.name}</option>
+                ))}
+              </select>
+            ))}
+            <button onClick={() => removeRivalry(idx)} className="text-red-600 hover:text-red-800">
+              <Trash2 size={16} />
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={addRivalry}
+          className="text-sm text-indigo-600 hover:text-indigo-800 flex items-center gap-1"
+        >
+          <Plus size={14} />
+          Add rivalry week
+        </button>
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={() => loadPreview()}
+          disabled={busy}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:bg-gray-400 transition-colors flex items-center gap-2"
+        >
+          <Shuffle size={18} />
+          {preview ? 'Reshuffle' : 'Preview'}
+        </button>
+        {preview && (
+          <button
+            onClick={acceptSchedule}
+            disabled={busy}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors flex items-center gap-2"
+          >
+            <Check size={18} />
+            Accept Schedule
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">
+          {error}
+        </div>
+      )}
+
+      {/* Preview */}
+      {preview && (
+        <div>
+          {preview.warnings.length > 0 && (
+            <ul className="mb-4 p-3 rounded-lg bg-amber-50 text-amber-800 text-sm list-disc list-inside">
+              {preview.warnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+            </ul>
+          )}
+
+          <div className="max-h-96 overflow-auto border border-gray-200 rounded-lg">
+            <table className="w-full text-sm">
+              <tbody>
+                {Object.keys(preview.weeks).sort((a, b) => Number(a) - Number(b)).map(weekNum => (
+                  <tr key={weekNum} className="border-b border-gray-200 align-top">
+                    <td className="px-3 py-2 font-semibold text-gray-700 whitespace-nowrap">Week {weekNum}</td>
+                    <td className="px-3 py-2 text-gray-700">
+                      {preview.weeks[weekNum].matchups.map((m, idx) => (
+                        <div key={idx}>{m.team1} vs {m.team2}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { Save, X, ArrowUp, ArrowDown, Plus } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+const NUMBER_FIELDS = [
+  { key: 'regularSeasonWeeks', label: 'Regular-season weeks', min: 1 },
+  { key: 'playoffTeams', label: 'Playoff teams', min: 0 },
+  { key: 'byes', label: 'First-round byes', min: 0 },
+  { key: 'toiletTeams', label: 'Toilet bowl teams', min: 0 }
+];
+
+// keys match server/tiebreakers.js
+const TIEBREAKER_LABELS = {
+  winPct: 'Win %',
+  headToHead: 'Head-to-head',
+  pointsFor: 'Points for',
+  pointsAgainst: 'Points against',
+  division: 'Division record',
+  coinFlip: 'Coin flip'
+};
+
+/**
+ * SeasonSettingsPanel Component
+ *
+ * Edits one season's league format: season length, bracket sizes,
+ * byes, whether eliminated teams play consolation games, the
+ * league-median bonus game and the order of the standings tiebreakers.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.year - Season being edited
+ * @param {Object} props.settings - Current settings from the weeks API
+ * @param {Object} props.headers - Auth headers for the signed-in commissioner
+ * @param {Function} props.onSaved - Called after the settings are saved
+ * @param {Function} props.onCancel - Called when the panel is closed
+ */
+export default function SeasonSettingsPanel({ year, settings, headers, onSaved, onCancel }) {
+  // ============================================
+  // STATE MANAGEMENT
+  // ============================================
+
+  const [draft, setDraft] = useState(settings);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  function updateField(key, value) {
+    setDraft(prev => ({ ...prev, [key]: value }));
+    setFieldErrors(prev => ({ ...prev, [key]: undefined }));
+  }
+
+  /**
+   * Move a tiebreaker up (-1) or down (+1) in the order
+   */
+  function moveTiebreaker(idx, offset) {
+    const order = [...draft.tiebreakers];
+    [order[idx], order[idx + offset]] = [order[idx + offset], order[idx]];
+    updateField('tiebreakers', order);
+  }
+
+  // ============================================
+  // SAVE
+  // ============================================
+
+  async function saveSettings() {
+    setBusy(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/seasons/${year}/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(draft)
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onSaved();
+      } else if (data.errors) {
+        // paths look like "settings.byes"
+        setFieldErrors(Object.fromEntries(data.errors.map(e => [e.path.replace(/^settings\./, ''), e.message])));
+      } else {
+        setError(`❌ Failed to save settings: ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to save settings:', err);
+      setError('❌ Network error while saving settings');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  // ============================================
+  // RENDER
+  // ============================================
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6 border-2 border-indigo-300">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">{year} League Settings</h2>
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        {NUMBER_FIELDS.map(({ key, label, min }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <input
+              type="number"
+              min={min}
+              value={draft[key]}
+              onChange={(e) => updateField(key, Number(e.target.value))}
+              className={`w-full px-3 py-2 border rounded focus:ring-2 focus:ring-indigo-500 ${
+                fieldErrors[key] ? 'border-red-500 bg-red-50' : 'border-gray-300'
+              }`}
+            />
+            {fieldErrors[key] && <p className="mt-1 text-xs text-red-600">{fieldErrors[key]}</p>}
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={draft.consolation}
+          onChange={(e) => updateField('consolation', e.target.checked)}
+          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+        />
+        Teams outside the brackets play consolation games
+      </label>
+
+      <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={draft.medianGame}
+          onChange={(e) => updateField('medianGame', e.target.checked)}
+          className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+        />
+        Extra regular-season W or L each week for beating the league median score
+      </label>
+
+      {/* Tiebreakers */}
+      <div className="mb-4">
+        <p className="block text-sm font-medium text-gray-700 mb-1">Standings tiebreakers (first rule ranks, the rest break ties)</p>
+        <ol className="space-y-1">
+          {draft.tiebreakers.map((rule, idx) => (
+            <li key={rule} className="flex items-center gap-2 px-3 py-1.5 bg-gray-50 rounded border border-gray-200 text-sm">
+              <span className="w-5 text-gray-500">{idx + 1}.</span>
+              <span className="flex-1 text-gray-800">{TIEBREAKER_LABELS[rule]}</span>
+              <button
+                onClick={() => moveTiebreaker(idx, -1)}
+                disabled={idx === 0}
+                className="text-gray-500 hover:text-indigo-600 disabled:opacity-30"
+              >
+                <ArrowUp size={14} />
+              </button>
+              <button
+                onClick={() => moveTiebreaker(idx, 1)}
+                disabled={idx === draft.tiebreakers.length - 1}
+                className="text-gray-500 hover:text-indigo-600 disabled:opacity-30"
+              >
+                <ArrowDown size={14} />
+              </button>
+              <button
+                onClick={() => updateField('tiebreakers', draft.tiebreakers.filter(r => r !== rule))}
+                disabled={draft.tiebreakers.length === 1}
+                className="text-red-500 hover:text-red-700 disabled:opacity-30"
+              >
+                <X size={14} />
+              </button>
+            </li>
+          ))}
+        </ol>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {Object.keys(TIEBREAKER_LABELS).filter(rule => !draft.tiebreakers.includes(rule)).map(rule => (
+            <button
+              key={rule}
+              onClick={() => updateField('tiebreakers', [...draft.tiebreakers, rule])}
+              className="px-2 py-1 text-xs border border-dashed border-gray-300 rounded text-gray-600 hover:border-indigo-500 hover:text-indigo-600 flex items-center gap-1"
+            >
+              <Plus size={12} />
+              {TIEBREAKER_LABELS[rule]}
+            </button>
+          ))}
+        </div>
+        {fieldErrors.tiebreakers && <p className="mt-1 text-xs text-red-600">{fieldErrors.tiebreakers}</p>}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-800">
+          {error}
+        </div>
+      )}
+
+      <button
+        onClick={saveSettings}
+        disabled={busy}
+        className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors flex items-center gap-2"
+      >
+        <Save size={18} />
+        Save Settings
+      </button>
+    </div>
+  );
+}
@@ -10,9 +10,14 @@ import React, { useState, useMemo } from 'react';
  * Displays rankings and statistics for a single season.
  * Features:
  *  - Season standings with place indicators
- *  - Rank change tracking (up/down from previous week)
+ *  - Rank change tracking (up/down from previous week, or any week of the timeline)
  *  - Full Statistics (W-L, PF, PA, PFPG, PAPG)
+ *  - All-play record, expected wins and luck (actual minus expected wins)
+ *  - Strength of schedule: opponents' win% and PF per game, played and still to play
  *  - Championship and playoff indicators
+ *  - Tiebreak explanations on tied places
+ *  - Separate H2H and median records in league-median seasons
+ *  - Simulated playoff odds while regular-season games remain
  *  - Sortable columns
  *  - Search filtering by player name or team name
  * 
@@ -20,8 +25,10 @@ import React, { useState, useMemo } from 'react';
  * @param {Array} props.seasonData - Array of team objects for the season
  * @param {string|number} props.year - The year of the season being displayed
  * @param {string} props.searchQuery - Search query to filter teams/players
+ * @param {Object} props.weekStandings - Optional timeline entry { week, standings } driving the change column
+ * @param {Object} props.odds - Optional GET /api/seasons/:year/odds result; the column shows while games remain
  */
-export default function SeasonTable({ seasonData, year, searchQuery }) {
+export default function SeasonTable({ seasonData, year, searchQuery, weekStandings, odds }) {
   // ==================================
   // STATE MANAGEMENT
   // ==================================
@@ -35,6 +42,13 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
     direction: "asc"
   });
 
+  const showOdds = odds?.remainingGames > 0;
+
+  // league-median seasons split the record into head-to-head and median games
+  const showMedian = seasonData.some(row => row.medianRecord);
+
+  const formatRecord = ({ wins, losses, ties }) => ties > 0 ? `${wins}-${losses}-${ties}` : `${wins}-${losses}`;
+
   // ==================================
   // DATA PREPARATION & FILTERING
   // ==================================
@@ -54,11 +68,18 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
       // Calculates win percentage (ties = 0.5 wins)
       const winPct = totalGames ? (wins + 0.5 * ties) / totalGames : 0;
 
-      // Calculate rank change from previous standings
+      // Games actually played - in median seasons the record also counts a median result each week
+      const h2h = row.h2hRecord;
+      const gamesPlayed = h2h ? h2h.wins + h2h.losses + h2h.ties : totalGames;
+
+      // Calculate rank change from previous standings, or during the selected week
       // Positive = moved up, Negative = moved down, 0 = no change
-      const change = row.prevPlace != null && row.place != null
-        ? row.prevPlace - row.place
-        : 0;
+      const weekRow = weekStandings?.standings.find(team => team.name === row.name);
+      const change = weekStandings
+        ? weekRow?.change || 0
+        : row.prevPlace != null && row.place != null
+          ? row.prevPlace - row.place
+          : 0;
 
       // Normalize place to number (handle emoji and string values)
       let placeValue = row.place;
@@ -70,13 +91,37 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
         }
       }
 
+      // All-play: record against every team's score each week
+      // (not available for seasons entered without weekly scores)
+      const allPlayGames = row.allPlay
+        ? row.allPlay.wins + row.allPlay.losses + row.allPlay.ties
+        : 0;
+      const allPlayPct = allPlayGames
+        ? (row.allPlay.wins + 0.5 * row.allPlay.ties) / allPlayGames
+        : null;
+
+      // Strength of schedule (missing for seasons entered without weekly scores)
+      const pastSos = row.sos?.past.opponentWinPct ?? null;
+      const remainingSos = row.sos?.remaining.opponentWinPct ?? null;
+
+      // Simulated finish odds (percentages) for the rest of the regular season
+      const teamOdds = odds?.teams.find(team => team.name === row.name) || null;
+
       return {
         ...row,
+        teamOdds,
+        playoffOdds: teamOdds?.playoff ?? null,
         wins,
         losses,
         ties,
         totalGames,
+        gamesPlayed,
         winPct,
+        allPlayPct,
+        expectedWins: allPlayGames ? row.expectedWins : null,
+        luck: allPlayGames ? row.luck : null,
+        pastSos,
+        remainingSos,
         change,
         placeValue,
         _idx: i, // preserve original index for stable sorting
@@ -92,7 +137,7 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
     }
 
     return data;
-  }, [seasonData, searchQuery]);
+  }, [seasonData, searchQuery, weekStandings, odds]);
 
   // ==================================
   // SORTING
@@ -174,8 +219,8 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
             </th>
             
             {/* Change (Delta) Column - Not sortable */}
-            <th className="px-4 py-3 text-center font-semibold">
-              Δ
+            <th className="px-4 py-3 text-center font-semibold whitespace-nowrap">
+              Δ{weekStandings && <span className="ml-1 text-xs font-normal">Wk {weekStandings.week}</span>}
             </th>
             
             {/* Team Name Column */}
@@ -209,6 +254,18 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
             >
               Record {getSortIcon("wins")}
             </th>
+
+            {/* H2H and Median Record Columns (league-median seasons only) */}
+            {showMedian && (
+              <>
+                <th className="px-4 py-3 text-center font-semibold" title="Record in head-to-head games">
+                  H2H
+                </th>
+                <th className="px-4 py-3 text-center font-semibold" title="Record against the weekly league median">
+                  Median
+                </th>
+              </>
+            )}
             
             {/* Points For Column */}
             <th 
@@ -226,6 +283,49 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
               PA {getSortIcon("pa")}
             </th>
             
+            {/* All-Play Record Column */}
+            <th 
+              className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-purple-500 transition-colors" 
+              onClick={() => requestSort("allPlayPct")}
+              title="Record against every team's score each week"
+            >
+              All-Play {getSortIcon("allPlayPct")}
+            </th>
+            
+            {/* Expected Wins Column */}
+            <th 
+              className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-purple-500 transition-colors" 
+              onClick={() => requestSort("expectedWins")}
+              title="Expected wins from the all-play record"
+            >
+              xW {getSortIcon("expectedWins")}
+            </th>
+            
+            {/* Luck Column */}
+            <th 
+              className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-purple-500 transition-colors" 
+              onClick={() => requestSort("luck")}
+              title="Actual wins minus expected wins"
+            >
+              Luck {getSortIcon("luck")}
+            </th>
+            
+            {/* Strength of Schedule Columns */}
+            <th 
+              className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-purple-500 transition-colors" 
+              onClick={() => requestSort("pastSos")}
+              title="Strength of schedule so far: opponents' win% (and PF per game)"
+            >
+              SOS {getSortIcon("pastSos")}
+            </th>
+            <th 
+              className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-purple-500 transition-colors whitespace-nowrap" 
+              onClick={() => requestSort("remainingSos")}
+              title="Remaining strength of schedule: win% (and PF per game) of the opponents still to play"
+            >
+              Rem SOS {getSortIcon("remainingSos")}
+            </th>
+            
             {/* Points For Per Game - Not sortable (calculated field) */}
             <th className="px-4 py-3 text-center font-semibold">
               PFPG
@@ -235,6 +335,17 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
             <th className="px-4 py-3 text-center font-semibold">
               PAPG
             </th>
+
+            {/* Playoff Odds Column (only while games remain) */}
+            {showOdds && (
+              <th 
+                className="px-4 py-3 text-center font-semibold cursor-pointer hover:bg-purple-500 transition-colors" 
+                onClick={() => requestSort("playoffOdds")}
+                title={`Playoff odds from ${odds.simulations} simulations of the ${odds.remainingGames} remaining games`}
+              >
+                Odds {getSortIcon("playoffOdds")}
+              </th>
+            )}
           
           </tr>
         </thead>
@@ -246,11 +357,11 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
             const winPctDisplay = row.totalGames 
               ? (row.winPct * 100).toFixed(1) + "%" 
               : "-";
-            const pfpg = row.totalGames 
-              ? (row.pf / row.totalGames).toFixed(1) 
+            const pfpg = row.gamesPlayed 
+              ? (row.pf / row.gamesPlayed).toFixed(1) 
               : "-";
-            const papg = row.totalGames 
-              ? (row.pa / row.totalGames).toFixed(1) 
+            const papg = row.gamesPlayed 
+              ? (row.pa / row.gamesPlayed).toFixed(1) 
               : "-";
             
             // Build row classes for styling
@@ -279,6 +390,10 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
                     {row.playoff?.pChampion && (
                       <span className="text-lg ml-1" title="Playoff Champion">PO</span>
                     )}
+                    {/* Show how a tie for this place was broken */}
+                    {row.tiebreakReason && (
+                      <span className="text-xs text-gray-400 cursor-help ml-1" title={row.tiebreakReason}>TB</span>
+                    )}
                   </div>
                 </td>
 
@@ -324,6 +439,18 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
                     <span>-<span className="text-gray-500">-{row.ties}</span></span>
                   )}
                 </td>
+
+                {/* H2H and Median Records */}
+                {showMedian && (
+                  <>
+                    <td className="px-4 py-3 text-center text-gray-700">
+                      {row.h2hRecord ? formatRecord(row.h2hRecord) : "-"}
+                    </td>
+                    <td className="px-4 py-3 text-center text-gray-700">
+                      {row.medianRecord ? formatRecord(row.medianRecord) : "-"}
+                    </td>
+                  </>
+                )}
                 
                 {/* Points For */}
                 <td className="px-4 py-3 text-center text-gray-700 font-medium">
@@ -335,6 +462,39 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
                   {row.pa?.toFixed(1)}
                 </td>
                 
+                {/* All-Play Record */}
+                <td className="px-4 py-3 text-center text-gray-700">
+                  {row.allPlayPct != null
+                    ? `${row.allPlay.wins}-${row.allPlay.losses}${row.allPlay.ties > 0 ? `-${row.allPlay.ties}` : ''}`
+                    : "-"}
+                </td>
+                
+                {/* Expected Wins */}
+                <td className="px-4 py-3 text-center text-gray-700">
+                  {row.expectedWins != null ? row.expectedWins.toFixed(1) : "-"}
+                </td>
+                
+                {/* Luck - Green when the schedule helped, red when it hurt */}
+                <td className="px-4 py-3 text-center font-medium">
+                  {row.luck != null ? (
+                    <span className={row.luck > 0 ? 'text-green-600' : row.luck < 0 ? 'text-red-600' : 'text-gray-500'}>
+                      {row.luck > 0 ? '+' : ''}{row.luck.toFixed(1)}
+                    </span>
+                  ) : "-"}
+                </td>
+                
+                {/* Strength of Schedule - opponents' win%, PF per game underneath */}
+                {[row.sos?.past, row.sos?.remaining].map((sos, idx) => (
+                  <td key={idx} className="px-4 py-3 text-center text-gray-700">
+                    {sos?.opponentWinPct != null ? (
+                      <>
+                        <div>{(sos.opponentWinPct * 100).toFixed(1)}%</div>
+                        <div className="text-xs text-gray-500">{sos.opponentPfpg.toFixed(1)} PF</div>
+                      </>
+                    ) : "-"}
+                  </td>
+                ))}
+                
                 {/* Points For Per Game */}
                 <td className="px-4 py-3 text-center text-gray-700">
                   {pfpg}
@@ -344,6 +504,20 @@ export default function SeasonTable({ seasonData, year, searchQuery }) {
                 <td className="px-4 py-3 text-center text-gray-700">
                   {papg}
                 </td>
+
+                {/* Playoff Odds - bye, first place and toilet bowl odds in the tooltip */}
+                {showOdds && (
+                  <td className="px-4 py-3 text-center font-medium">
+                    {row.teamOdds ? (
+                      <span
+                        className="cursor-help"
+                        title={`Bye ${row.teamOdds.bye}% - 1st ${row.teamOdds.first}% - Toilet bowl ${row.teamOdds.toilet}%`}
+                      >
+                        {row.teamOdds.playoff}%
+                      </span>
+                    ) : "-"}
+                  </td>
+                )}
               </tr>
             );
           })}
@@ -0,0 +1,56 @@
+// ==================================
+// StandingsTimeline.jsx
+// ==================================
+
+import React from 'react';
+import LineChart, { TEAM_COLORS } from './LineChart';
+
+/**
+ * StandingsTimeline Component
+ *
+ * Each team's place after every regular-season week, from
+ * GET /api/seasons/:year/timeline. Picking a week here drives
+ * the change column in SeasonTable.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.timeline - [{ week, standings: [{ name, place, change }] }]
+ * @param {number|null} props.selectedWeek - Week shown in the change column (null = latest)
+ * @param {Function} props.onSelectWeek - Called with a week number, or null for the latest
+ */
+export default function StandingsTimeline({ timeline, selectedWeek, onSelectWeek }) {
+  if (timeline.length === 0) {
+    return <p className="text-gray-500 text-sm text-center py-8">No weekly scores entered for this season</p>;
+  }
+
+  const names = timeline[timeline.length - 1].standings.map(team => team.name).sort();
+  const series = names.map((name, idx) => ({
+    name,
+    color: TEAM_COLORS[idx % TEAM_COLORS.length],
+    values: timeline.map(({ standings }) => standings.find(team => team.name === name)?.place ?? null)
+  }));
+
+  return (
+    <div>
+      <div className="flex items-center gap-3 mb-4">
+        <label className="text-sm text-gray-700">Change column after</label>
+        <select
+          value={selectedWeek ?? ''}
+          onChange={(e) => onSelectWeek(e.target.value ? Number(e.target.value) : null)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+        >
+          <option value="">Latest week</option>
+          {timeline.map(({ week }) => <option key={week} value={week}>Week {week}</option>)}
+        </select>
+      </div>
+
+      <LineChart
+        labels={timeline.map(({ week }) => `Wk ${week}`)}
+        series={series}
+        height={280}
+        yDomain={[1, names.length]}
+        yTicks={names.map((_, idx) => idx + 1)}
+        invertY
+      />
+    </div>
+  );
+}
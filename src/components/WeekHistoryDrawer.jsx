@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { History, RotateCcw, X } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+
+/**
+ * WeekHistoryDrawer Component
+ *
+ * Side drawer listing every logged change to one week's matchups.
+ * Any single change can be reverted.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.year - Season year
+ * @param {string} props.weekNum - Week to show history for
+ * @param {Object} props.headers - Auth headers for the signed-in commissioner
+ * @param {Function} props.onReverted - Called with the server response after a revert
+ * @param {Function} props.onClose - Called when the drawer is closed
+ */
+export default function WeekHistoryDrawer({ year, weekNum, headers, onReverted, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadHistory();
+  }, [year, weekNum]);
+
+  async function loadHistory() {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/audit?year=${year}&week=${weekNum}`);
+      setEntries(await response.json());
+    } catch (err) {
+      console.error('Failed to load history:', err);
+      setError('⚠️ Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Undo one change, then refresh the list
+   */
+  async function revert(entry) {
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/audit/${entry.id}/revert`, {
+        method: 'POST',
+        headers
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        onReverted(data);
+        loadHistory();
+      } else {
+        setError(`❌ ${data.error}`);
+      }
+    } catch (err) {
+      console.error('Failed to revert change:', err);
+      setError('❌ Network error while reverting');
+    }
+  }
+
+  function formatValue(value) {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'object') return `${value.team1 || 'TBD'} vs ${value.team2 || 'TBD'}`;
+    return String(value);
+  }
+
+  function describe(entry) {
+    if (entry.field === 'matchup') {
+      return entry.old === null
+        ? `Added matchup: ${formatValue(entry.new)}`
+        : `Removed matchup: ${formatValue(entry.old)}`;
+    }
+    return `${entry.field}: ${formatValue(entry.old)} → ${formatValue(entry.new)}`;
+  }
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-2xl border-l border-gray-200 z-50 flex flex-col">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <h2 className="text-lg font-bold text-gray-900 flex items-center gap-2">
+          <History size={20} />
+          Week {weekNum} History
+        </h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+          <X size={20} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-3 rounded-lg bg-red-100 text-red-800 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex-1 overflow-auto px-6 py-4 space-y-3">
+        {loading && <p className="text-gray-500 text-sm">Loading history...</p>}
+        {!loading && entries.length === 0 && (
+          <p className="text-gray-500 text-sm">No changes recorded for this week.</p>
+        )}
+
+        {entries.map(entry => (
+          <div key={entry.id} className="p-3 rounded-lg border border-gray-200 bg-gray-50">
+            <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+              <span>{new Date(entry.timestamp).toLocaleString()} • {entry.editor}</span>
+              {entry.source && <span className="px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700">{entry.source}</span>}
+              {entry.revertOf && <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800">undo #{entry.revertOf}</span>}
+            </div>
+            <div className="text-sm text-gray-800">
+              <span className="font-medium">Matchup {entry.matchupIndex + 1}</span> - {describe(entry)}
+            </div>
+            <div className="flex justify-end mt-2">
+              <button
+                onClick={() => revert(entry)}
+                className="text-sm text-red-600 hover:text-red-800 flex items-center gap-1"
+              >
+                <RotateCcw size={14} />
+                Revert
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
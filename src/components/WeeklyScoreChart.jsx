@@ -0,0 +1,131 @@
+// ==================================
+// WeeklyScoreChart.jsx
+// ==================================
+
+import React, { useState, useMemo } from 'react';
+import LineChart, { TEAM_COLORS } from './LineChart';
+
+/**
+ * Middle score of a week (average of the two middle scores for an even count)
+ */
+function getMedian(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * WeeklyScoreChart Component
+ *
+ * Each team's score every week against the league median, built from
+ * weeks[].matchups. Hovering a point shows the opponent and result;
+ * teams can be toggled on and off.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.weeks - The season's weeks keyed by week number ({ matchups })
+ * @param {Array} props.teams - Teams to chart, already filtered by state
+ */
+export default function WeeklyScoreChart({ weeks, teams }) {
+  // ==================================
+  // STATE MANAGEMENT
+  // ==================================
+
+  const [hidden, setHidden] = useState([]); // names toggled off
+
+  // ==================================
+  // DATA PREPARATION
+  // ==================================
+
+  /**
+   * Every played week with each team's game from its own side
+   * The median covers the whole league, whatever the filters
+   */
+  const playedWeeks = useMemo(() => Object.entries(weeks || {})
+    .map(([weekNum, { matchups }]) => {
+      const week = Number(weekNum);
+      const games = {};
+      (matchups || []).forEach(m => {
+        if (m.team2 === 'BYE' || !(m.team1Score > 0 && m.team2Score > 0)) return;
+        games[m.team1] = { opponent: m.team2, score: m.team1Score, opponentScore: m.team2Score };
+        games[m.team2] = { opponent: m.team1, score: m.team2Score, opponentScore: m.team1Score };
+      });
+      const scores = Object.values(games).map(g => g.score);
+      return { week, games, median: scores.length ? getMedian(scores) : null };
+    })
+    .filter(w => w.median != null)
+    .sort((a, b) => a.week - b.week), [weeks]);
+
+  // colour by position in the whole league so a team keeps its colour when others are filtered out
+  const allNames = [...new Set(playedWeeks.flatMap(w => Object.keys(w.games)))].sort();
+  const names = teams.map(team => team.name).filter(name => allNames.includes(name)).sort();
+
+  const toggleTeam = (name) => {
+    setHidden(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]);
+  };
+
+  // ==================================
+  // RENDER
+  // ==================================
+
+  if (playedWeeks.length === 0) {
+    return <p className="text-gray-500 text-sm text-center py-8">No weekly scores entered for this season</p>;
+  }
+
+  const labels = playedWeeks.map(w => `Wk ${w.week}`);
+  const series = [
+    ...names.filter(name => !hidden.includes(name)).map(name => ({
+      name,
+      color: TEAM_COLORS[allNames.indexOf(name) % TEAM_COLORS.length],
+      values: playedWeeks.map(w => w.games[name]?.score ?? null),
+      tooltips: playedWeeks.map(w => {
+        const game = w.games[name];
+        if (!game) return null;
+        const result = game.score > game.opponentScore ? 'W' : game.score < game.opponentScore ? 'L' : 'T';
+        return `${name} - Wk ${w.week}: ${game.score.toFixed(2)} vs ${game.opponent} ${game.opponentScore.toFixed(2)} (${result})`;
+      })
+    })),
+    {
+      name: 'League median',
+      color: '#9ca3af',
+      dashed: true,
+      values: playedWeeks.map(w => w.median)
+    }
+  ];
+
+  return (
+    <div>
+      {/* Team Toggles */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {names.map(name => {
+          const visible = !hidden.includes(name);
+          const color = TEAM_COLORS[allNames.indexOf(name) % TEAM_COLORS.length];
+          return (
+            <button
+              key={name}
+              onClick={() => toggleTeam(name)}
+              className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                visible ? 'text-white' : 'bg-white text-gray-500 border-gray-300'
+              }`}
+              style={visible ? { backgroundColor: color, borderColor: color } : undefined}
+            >
+              {name}
+            </button>
+          );
+        })}
+        <button onClick={() => setHidden([])} className="text-sm text-indigo-600 hover:underline">
+          Show all
+        </button>
+        <button onClick={() => setHidden(names)} className="text-sm text-indigo-600 hover:underline">
+          Hide all
+        </button>
+      </div>
+
+      <LineChart
+        labels={labels}
+        series={series}
+        height={280}
+        formatY={value => value.toFixed(1)}
+      />
+    </div>
+  );
+}
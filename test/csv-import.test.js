@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, matchTeamName, buildImport } from "../server/csv-import.js";
+
+const teams = [
+  { name: 'Jimmy Beer', team: 'Bistro Beverages' },
+  { name: 'Brett Lewis', team: 'Welsh Wales' },
+  { name: 'Josh Whelan', team: 'Hot Dogs' },
+  { name: 'Josh Carter', team: 'Carter Made' }
+];
+
+function season() {
+  return {
+    teams,
+    weeks: {
+      1: { matchups: [
+        { team1: 'Jimmy Beer', team1Score: 110, team2: 'Brett Lewis', team2Score: 95 },
+        { team1: 'Josh Whelan', team1Score: null, team2: 'Josh Carter', team2Score: null }
+      ] },
+      15: { matchups: [
+        { team1: null, team1Score: null, team2: null, team2Score: null, status: 'toilet', label: 'Toilet Bowl' },
+        { team1: null, team1Score: null, team2: null, team2Score: null, status: 'playoff', label: 'Quarterfinal' }
+      ] }
+    }
+  };
+}
+
+test("CSV rows keep the line they start on", () => {
+  const text = 'week,team1\r\n\r\n1,"Beer, Jimmy"\n2,"said ""hi"""\n3,"two\nlines",x\n4,end\n';
+
+  assert.deepEqual(parseCsv(text), [
+    { line: 1, fields: ['week', 'team1'] },
+    { line: 3, fields: ['1', 'Beer, Jimmy'] },
+    { line: 4, fields: ['2', 'said "hi"'] },
+    { line: 5, fields: ['3', 'two\nlines', 'x'] },
+    { line: 7, fields: ['4', 'end'] }
+  ]);
+});
+
+test("names match managers and team names, exactly or close enough", () => {
+  const match = input => {
+    const { name, match: kind } = matchTeamName(input, teams);
+    return [name, kind];
+  };
+
+  assert.deepEqual(match('jimmy beer'), ['Jimmy Beer', 'exact']);
+  assert.deepEqual(match('JimmyBeer.'), ['Jimmy Beer', 'exact']);
+  assert.deepEqual(match('Welsh Wales'), ['Brett Lewis', 'exact']);
+  assert.deepEqual(match('bye'), ['BYE', 'exact']);
+  assert.deepEqual(match('Whelan'), ['Josh Whelan', 'fuzzy']);
+  assert.deepEqual(match('Jimy Ber'), ['Jimmy Beer', 'fuzzy']);
+  assert.deepEqual(match('Brett Lewsi'), ['Brett Lewis', 'fuzzy']);
+  assert.deepEqual(match('Carter Mad'), ['Josh Carter', 'fuzzy']);
+  assert.deepEqual(match('Nobody'), [null, 'unknown']);
+  assert.deepEqual(match(''), [null, 'unknown']);
+});
+
+test("a name shared by two managers is ambiguous", () => {
+  assert.deepEqual(matchTeamName('josh', teams), {
+    input: 'josh',
+    name: null,
+    match: 'ambiguous',
+    candidates: ['Josh Whelan', 'Josh Carter']
+  });
+});
+
+test("row errors point at the file's line numbers", () => {
+  const text = [
+    'week,team1,team1Score,team2,team2Score,status,label',
+    '1,Jimmy Beer,110,Brett Lewis,95',
+    '1,Nobody,100,Josh,90',
+    '',
+    '19,Whelan,100,Carter,abc',
+    '2,bye,0,Jimmy Beer,0',
+    '2,Jimmy Beer,100,Jimmy Beer,90',
+    '2,Brett Lewis,100,Josh Whelan,90,finals',
+    '2,Josh Carter,100',
+    '3,Brett Lewis,100,Josh Whelan,90',
+    '3,Josh Carter,100,Brett Lewis,95'
+  ].join('\n');
+  const { rows, errorCount } = buildImport(season(), text);
+  const errorsByLine = Object.fromEntries(rows.filter(row => row.errors.length > 0).map(row => [row.line, row.errors]));
+
+  assert.deepEqual(rows.map(row => row.line), [2, 3, 5, 6, 7, 8, 9, 10, 11]);
+  assert.deepEqual(errorsByLine, {
+    3: ['Unknown team "Nobody"', '"Josh" could be Josh Whelan or Josh Carter'],
+    5: ['Week must be a whole number from 1 to 17', '"abc" is not a valid score'],
+    6: ['BYE must be team2'],
+    7: ["Jimmy Beer can't play itself"],
+    8: ['Status must be one of playoff, toilet, out'],
+    9: ['Expected week, team1, team1Score, team2, team2Score[, status, label]'],
+    11: ['Brett Lewis is already in week 3 on line 10']
+  });
+  assert.equal(errorCount, 7);
+});
+
+test("a file without a header starts on line 1", () => {
+  const { rows } = buildImport(season(), '2,Jimmy Beer,100,Josh Carter,90\n2,Nobody,1,Josh Whelan,2\n');
+
+  assert.equal(rows[0].line, 1);
+  assert.deepEqual(rows[0].errors, []);
+  assert.equal(rows[1].line, 2);
+  assert.deepEqual(rows[1].errors, ['Unknown team "Nobody"']);
+});
+
+test("imported games merge into copies of the season's weeks", () => {
+  const original = season();
+  const before = structuredClone(original);
+  const text = [
+    // flipped order, new scores for an entered game
+    '1,Brett Lewis,100,Jimmy Beer,90',
+    // fills the scheduled game
+    '1,Whelan,120.5,Carter,101',
+    // fills the blank slot with the same status
+    '15,Josh Whelan,80,Josh Carter,85,playoff'
+  ].join('\n');
+  const { rows, weeks, errorCount, conflictCount } = buildImport(original, text);
+
+  assert.equal(errorCount, 0);
+  assert.equal(conflictCount, 1);
+  assert.deepEqual(rows[0].conflicts, ['Replaces the entered score 95-110']);
+  assert.deepEqual(weeks[1].matchups, [
+    { team1: 'Brett Lewis', team1Score: 100, team2: 'Jimmy Beer', team2Score: 90 },
+    { team1: 'Josh Whelan', team1Score: 120.5, team2: 'Josh Carter', team2Score: 101 }
+  ]);
+  assert.deepEqual(weeks[15].matchups[1], {
+    team1: 'Josh Whelan', team1Score: 80, team2: 'Josh Carter', team2Score: 85, status: 'playoff', label: 'Quarterfinal'
+  });
+  assert.deepEqual(original, before);
+});
+
+test("a team already playing someone else has that game replaced", () => {
+  const { rows, weeks } = buildImport(season(), '1,Jimmy Beer,100,Josh Carter,90');
+
+  assert.deepEqual(rows[0].conflicts, [
+    'Josh Carter already plays Josh Whelan in week 1 - that game is removed',
+    'Jimmy Beer already plays Brett Lewis in week 1 (with scores) - that game is removed'
+  ]);
+  assert.deepEqual(weeks[1].matchups, [
+    { team1: 'Jimmy Beer', team1Score: 100, team2: 'Josh Carter', team2Score: 90 }
+  ]);
+});
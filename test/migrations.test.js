@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { migrateSeasonsData, CURRENT_SCHEMA_VERSION } from "../server/migrations.js";
+import { getSettings, getPlayoffWeeks, isRegularSeasonWeek } from "../server/settings.js";
+
+const blankWeek = (status, label) => ({
+  matchups: [{ team1: null, team1Score: null, team2: null, team2Score: null, ...(status ? { status, label } : {}) }]
+});
+
+// like 2020: hand-entered standings from a 12-game season, blank weeks and a hand-entered bracket in 15-17
+function handEnteredSeason() {
+  const weeks = {};
+  for (let weekNum = 1; weekNum <= 17; weekNum++) {
+    weeks[weekNum] = weekNum >= 15 ? blankWeek('playoff', '#1 SEED VS BYE') : blankWeek();
+  }
+  return {
+    teams: [{ name: 'A', team: 'A', state: 'active' }, { name: 'B', team: 'B', state: 'active' }],
+    weeks,
+    standings: [
+      { name: 'A', wins: 8, losses: 4, ties: 0, pf: 1400, pa: 1300, place: '🥇' },
+      { name: 'B', wins: 4, losses: 8, ties: 0, pf: 1300, pa: 1400, place: '🥈' }
+    ]
+  };
+}
+
+test("a hand-entered bracket keeps its playoff weeks", () => {
+  const { data, changes } = migrateSeasonsData({ 2020: handEnteredSeason() });
+  const settings = getSettings(data[2020]);
+
+  assert.equal(data[2020].schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(settings.regularSeasonWeeks, 14);
+  assert.deepEqual(getPlayoffWeeks(settings), [15, 16, 17]);
+  assert.ok(!isRegularSeasonWeek(settings, 15));
+  assert.equal(changes[0].steps.find(step => step.version === 3).notes.length, 1);
+});
+
+test("the first flagged week sets a shorter regular season", () => {
+  const season = handEnteredSeason();
+  season.weeks[13] = blankWeek('playoff', '#1 SEED VS BYE');
+  const { data } = migrateSeasonsData({ 2020: season });
+  assert.equal(data[2020].settings.regularSeasonWeeks, 12);
+});
+
+test("a season without weeks takes its length from the standings", () => {
+  const { data } = migrateSeasonsData({ 2019: handEnteredSeason().standings });
+  assert.equal(data[2019].settings.regularSeasonWeeks, 12);
+  assert.deepEqual(data[2019].standings.map(row => row.place), [1, 2]);
+});
+
+test("v3 settings are the v3-era snapshot; later fields come from their own migrations or defaults", () => {
+  const { data } = migrateSeasonsData({ 2020: handEnteredSeason() });
+  const { medianGame, tiebreakers, ...v3 } = data[2020].settings;
+
+  assert.deepEqual(v3, { regularSeasonWeeks: 14, playoffTeams: 6, byes: 2, toiletTeams: 4, consolation: true });
+  assert.equal(medianGame, undefined);
+  assert.equal(getSettings(data[2020]).medianGame, false);
+  assert.deepEqual(tiebreakers, ['winPct', 'pointsFor', 'headToHead', 'pointsAgainst', 'division', 'coinFlip']);
+});
+
+test("migrating leaves the input untouched and is a no-op the second time", () => {
+  const input = { 2020: handEnteredSeason() };
+  const before = structuredClone(input);
+  const { data } = migrateSeasonsData(input);
+
+  assert.deepEqual(input, before);
+  assert.deepEqual(migrateSeasonsData(data).changes, []);
+});
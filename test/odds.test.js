@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { simulateOdds } from "../server/odds.js";
+import { recalculateSeasonStandings } from "../server/standings.js";
+import { collectGames } from "../server/history.js";
+
+/**
+ * Four-week season with week 4 still to play
+ *   A 3-0, C 2-1, B 1-2, D 0-3 - A can't miss the top two and D can't escape the bottom two
+ *   B has more points than C, so a B win and a C loss likely puts B in
+ */
+function unfinishedSeason() {
+  const game = (team1, team1Score, team2, team2Score) => ({ team1, team1Score, team2, team2Score });
+  const season = {
+    teams: ['A', 'B', 'C', 'D'].map(name => ({ name })),
+    settings: { regularSeasonWeeks: 4, playoffTeams: 2, byes: 0, toiletTeams: 2, consolation: false },
+    weeks: {
+      1: { matchups: [game('A', 140, 'B', 90), game('C', 95, 'D', 80)] },
+      2: { matchups: [game('A', 100, 'C', 90), game('B', 130, 'D', 120)] },
+      3: { matchups: [game('A', 95, 'D', 85), game('C', 110, 'B', 105)] },
+      4: { matchups: [game('A', null, 'B', null), game('C', null, 'D', null)] }
+    }
+  };
+  recalculateSeasonStandings(season, 2030);
+  return season;
+}
+
+function odds(season, options) {
+  const games = collectGames({ 2030: season }, { from: 2030, to: 2030, type: 'regular' });
+  return simulateOdds(season, games, { seed: 2030, ...options });
+}
+
+const byName = result => Object.fromEntries(result.teams.map(team => [team.name, team]));
+
+test("the same seed gives the same odds", () => {
+  const season = unfinishedSeason();
+  const first = odds(season, { simulations: 2000 });
+
+  assert.deepEqual(odds(season, { simulations: 2000 }), first);
+  assert.notDeepEqual(odds(season, { simulations: 2000, seed: 7 }), first);
+  assert.equal(first.simulations, 2000);
+  assert.equal(first.remainingGames, 2);
+});
+
+test("every simulated season fills each place once", () => {
+  const { teams } = odds(unfinishedSeason(), { simulations: 2000 });
+  const total = field => teams.reduce((sum, team) => sum + team[field], 0);
+
+  assert.ok(Math.abs(total('first') - 100) < 0.5);
+  assert.ok(Math.abs(total('playoff') - 200) < 0.5);
+  assert.ok(Math.abs(total('toilet') - 200) < 0.5);
+  assert.equal(total('bye'), 0);
+  assert.ok(Math.abs(total('averagePlace') - 10) < 0.05);
+  // best odds first
+  assert.deepEqual(teams.map(team => team.averagePlace), [...teams.map(team => team.averagePlace)].sort((a, b) => a - b));
+});
+
+test("clinched and eliminated teams get certain odds", () => {
+  const teams = byName(odds(unfinishedSeason(), { simulations: 2000 }));
+
+  assert.equal(teams.A.playoff, 100);
+  assert.equal(teams.A.toilet, 0);
+  assert.equal(teams.D.playoff, 0);
+  assert.equal(teams.D.toilet, 100);
+  assert.equal(teams.D.first, 0);
+  assert.ok(teams.B.playoff > 0 && teams.B.playoff < 50);
+  // one of B and C takes the other playoff place (each rounded to 0.1%)
+  assert.ok(Math.abs(teams.B.playoff + teams.C.playoff - 100) <= 0.1);
+});
+
+test("a finished season keeps its recorded places", () => {
+  const season = unfinishedSeason();
+  Object.assign(season.weeks[4].matchups[0], { team1Score: 90, team2Score: 100 });
+  Object.assign(season.weeks[4].matchups[1], { team1Score: 80, team2Score: 100 });
+  recalculateSeasonStandings(season, 2030);
+
+  // hand-entered places win over anything the simulation would work out
+  const places = { A: 2, C: 1, B: 3, D: 4 };
+  season.standings.forEach(row => { row.place = places[row.name]; });
+
+  const result = odds(season, { simulations: 2000 });
+  const teams = byName(result);
+
+  assert.equal(result.simulations, 1);
+  assert.equal(result.remainingGames, 0);
+  assert.deepEqual(result.teams.map(team => team.name), ['C', 'A', 'B', 'D']);
+  assert.deepEqual(teams.C, { name: 'C', playoff: 100, bye: 0, toilet: 0, first: 100, averagePlace: 1 });
+  assert.deepEqual(teams.D, { name: 'D', playoff: 0, bye: 0, toilet: 100, first: 0, averagePlace: 4 });
+});
@@ -0,0 +1,219 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { seedFirstRound, advancePlayoffs, derivePlayoffResults } from "../server/playoffs.js";
+import { DEFAULT_SETTINGS } from "../server/settings.js";
+
+// "Team 1" finished first, "Team 2" second, ... - listed out of order like saved standings
+const standings = count => Array.from({ length: count }, (_, idx) => ({ name: `Team ${idx + 1}`, place: idx + 1 })).reverse();
+
+/**
+ * Twelve-team season with the first playoff week seeded and nothing played
+ */
+function seededSeason() {
+  const rows = standings(12);
+  return {
+    teams: rows.map(({ name }) => ({ name })),
+    standings: rows,
+    weeks: { 15: { matchups: seedFirstRound(rows, DEFAULT_SETTINGS) } }
+  };
+}
+
+function score(season, week, results) {
+  season.weeks[week].matchups.forEach(m => {
+    const key = `${m.team1} vs ${m.team2}`;
+    if (results[key]) [m.team1Score, m.team2Score] = results[key];
+  });
+}
+
+// Team 5 upsets Team 4, then loses to Team 1; Team 2 edges Team 3 on a tie
+const FIRST_ROUND = {
+  'Team 4 vs Team 5': [90, 110],
+  'Team 3 vs Team 6': [120, 80],
+  'Team 9 vs Team 12': [100, 70],
+  'Team 10 vs Team 11': [95, 85],
+  'Team 7 vs Team 8': [100, 90]
+};
+const SEMIFINALS = {
+  'Team 1 vs Team 5': [130, 100],
+  // a tie goes to the better seed
+  'Team 2 vs Team 3': [100, 100],
+  'Team 11 vs Team 12': [90, 80],
+  'Team 4 vs Team 6': [100, 90],
+  'Team 7 vs Team 10': [100, 90],
+  'Team 8 vs Team 9': [100, 90]
+};
+
+const summarize = matchups => matchups.map(({ team1, team2, status, label }) => ({ team1, team2, status, label }));
+
+test("the first round gives the top seeds byes and pairs the rest best vs worst", () => {
+  const matchups = seedFirstRound(standings(12), DEFAULT_SETTINGS);
+
+  assert.deepEqual(summarize(matchups), [
+    { team1: 'Team 1', team2: 'BYE', status: 'playoff', label: 'Quarterfinal - #1 SEED vs BYE' },
+    { team1: 'Team 4', team2: 'Team 5', status: 'playoff', label: 'Quarterfinal - #4 SEED vs #5 SEED' },
+    { team1: 'Team 3', team2: 'Team 6', status: 'playoff', label: 'Quarterfinal - #3 SEED vs #6 SEED' },
+    { team1: 'Team 2', team2: 'BYE', status: 'playoff', label: 'Quarterfinal - #2 SEED vs BYE' },
+    { team1: 'Team 9', team2: 'Team 12', status: 'toilet', label: 'Toilet Bowl - #9 SEED vs #12 SEED' },
+    { team1: 'Team 10', team2: 'Team 11', status: 'toilet', label: 'Toilet Bowl - #10 SEED vs #11 SEED' },
+    { team1: 'Team 7', team2: 'Team 8', status: 'out', label: '#7 SEED vs #8 SEED' }
+  ]);
+  matchups.forEach(m => {
+    assert.equal(m.team1Score, null);
+    assert.equal(m.team2Score, null);
+  });
+});
+
+test("a bracket without byes seeds every playoff team into a game", () => {
+  const settings = { ...DEFAULT_SETTINGS, playoffTeams: 8, byes: 0, toiletTeams: 2, consolation: false };
+  const matchups = seedFirstRound(standings(12), settings);
+
+  assert.deepEqual(matchups.map(m => [m.team1, m.team2, m.status]), [
+    ['Team 1', 'Team 8', 'playoff'],
+    ['Team 4', 'Team 5', 'playoff'],
+    ['Team 3', 'Team 6', 'playoff'],
+    ['Team 2', 'Team 7', 'playoff'],
+    ['Team 11', 'Team 12', 'toilet']
+  ]);
+  assert.ok(matchups.filter(m => m.status === 'playoff').every(m => m.label.startsWith('Quarterfinal - ')));
+  assert.equal(matchups[4].label, 'Toilet Bowl Championship - #11 SEED vs #12 SEED');
+});
+
+test("an odd number of consolation teams leaves one on a bye", () => {
+  const matchups = seedFirstRound(standings(11), DEFAULT_SETTINGS);
+
+  assert.deepEqual(matchups.filter(m => m.status === 'toilet').map(m => [m.team1, m.team2]), [
+    ['Team 8', 'Team 11'],
+    ['Team 9', 'Team 10']
+  ]);
+  assert.deepEqual(summarize(matchups.filter(m => m.status === 'out')), [
+    { team1: 'Team 7', team2: 'BYE', status: 'out', label: '#7 SEED vs BYE' }
+  ]);
+});
+
+test("consolation games are left out when they're turned off", () => {
+  const matchups = seedFirstRound(standings(12), { ...DEFAULT_SETTINGS, consolation: false });
+
+  assert.equal(matchups.length, 6);
+  assert.ok(matchups.every(m => m.status !== 'out'));
+});
+
+test("seeding needs enough teams for both brackets", () => {
+  assert.throws(() => seedFirstRound(standings(9), DEFAULT_SETTINGS), /at least 10 teams/);
+});
+
+test("playoff winners and toilet bowl losers move on, reseeded each round", () => {
+  const season = seededSeason();
+  score(season, 15, FIRST_ROUND);
+
+  assert.deepEqual(advancePlayoffs(season, 15), [16, 17]);
+  assert.deepEqual(summarize(season.weeks[16].matchups), [
+    { team1: 'Team 1', team2: 'Team 5', status: 'playoff', label: 'Semifinal - #1 SEED vs #5 SEED' },
+    { team1: 'Team 2', team2: 'Team 3', status: 'playoff', label: 'Semifinal - #2 SEED vs #3 SEED' },
+    { team1: 'Team 11', team2: 'Team 12', status: 'toilet', label: 'Toilet Bowl Championship - #11 SEED vs #12 SEED' },
+    { team1: 'Team 4', team2: 'Team 6', status: 'out', label: 'Consolation - #4 SEED vs #6 SEED' },
+    { team1: 'Team 7', team2: 'Team 10', status: 'out', label: 'Consolation - #7 SEED vs #10 SEED' },
+    { team1: 'Team 8', team2: 'Team 9', status: 'out', label: 'Consolation - #8 SEED vs #9 SEED' }
+  ]);
+
+  // week 17 waits on the semifinals
+  assert.deepEqual(summarize(season.weeks[17].matchups), [
+    { team1: null, team2: null, status: 'playoff', label: 'Championship - TBD vs TBD' },
+    ...Array(5).fill({ team1: null, team2: null, status: 'out', label: 'Consolation' })
+  ]);
+});
+
+test("the final and third place game are filled in from the semifinals", () => {
+  const season = seededSeason();
+  score(season, 15, FIRST_ROUND);
+  advancePlayoffs(season, 15);
+  score(season, 16, SEMIFINALS);
+
+  assert.deepEqual(advancePlayoffs(season, 16), [17]);
+  assert.deepEqual(summarize(season.weeks[17].matchups), [
+    { team1: 'Team 1', team2: 'Team 2', status: 'playoff', label: 'Championship - #1 SEED vs #2 SEED' },
+    { team1: 'Team 3', team2: 'Team 5', status: 'out', label: 'Third Place - #3 SEED vs #5 SEED' },
+    { team1: 'Team 4', team2: 'Team 12', status: 'out', label: 'Consolation - #4 SEED vs #12 SEED' },
+    { team1: 'Team 6', team2: 'Team 11', status: 'out', label: 'Consolation - #6 SEED vs #11 SEED' },
+    // 7 and 10 played last week
+    { team1: 'Team 7', team2: 'Team 9', status: 'out', label: 'Consolation - #7 SEED vs #9 SEED' },
+    { team1: 'Team 8', team2: 'Team 10', status: 'out', label: 'Consolation - #8 SEED vs #10 SEED' }
+  ]);
+});
+
+test("an unfinished round only fills in the teams already through", () => {
+  const season = seededSeason();
+  score(season, 15, { 'Team 4 vs Team 5': [90, 110] });
+  advancePlayoffs(season, 15);
+
+  assert.deepEqual(summarize(season.weeks[16].matchups.filter(m => m.status === 'playoff')), [
+    { team1: 'Team 1', team2: null, status: 'playoff', label: 'Semifinal - #1 SEED vs TBD' },
+    { team1: 'Team 2', team2: null, status: 'playoff', label: 'Semifinal - #2 SEED vs TBD' }
+  ]);
+  assert.deepEqual(summarize(season.weeks[16].matchups.filter(m => m.status === 'toilet')), [
+    { team1: null, team2: null, status: 'toilet', label: 'Toilet Bowl Championship - TBD vs TBD' }
+  ]);
+});
+
+test("weeks with scores are never rebuilt", () => {
+  const season = seededSeason();
+  score(season, 15, { 'Team 4 vs Team 5': [90, 110], 'Team 3 vs Team 6': [120, 80] });
+  advancePlayoffs(season, 15);
+  score(season, 16, { 'Team 1 vs Team 5': [130, 100] });
+  const played = structuredClone(season.weeks[16]);
+
+  // a corrected week 15 score would swap Team 5 for Team 4
+  score(season, 15, { 'Team 4 vs Team 5': [120, 110] });
+  assert.deepEqual(advancePlayoffs(season, 15), [17]);
+  assert.deepEqual(season.weeks[16], played);
+});
+
+test("only playoff weeks before the final advance anything", () => {
+  const season = seededSeason();
+  const before = structuredClone(season.weeks);
+
+  assert.deepEqual(advancePlayoffs(season, 14), []);
+  assert.deepEqual(advancePlayoffs(season, 17), []);
+  assert.deepEqual(season.weeks, before);
+
+  // nothing to advance from before the first round is seeded
+  assert.deepEqual(advancePlayoffs({ ...season, weeks: { 15: { matchups: [] } } }, 15), []);
+});
+
+test("playoff flags come from the bracket results", () => {
+  const season = seededSeason();
+  assert.equal(derivePlayoffResults({ ...season, weeks: {} }), null);
+
+  score(season, 15, FIRST_ROUND);
+  advancePlayoffs(season, 15);
+  score(season, 16, SEMIFINALS);
+  advancePlayoffs(season, 16);
+
+  // before the final is played nobody is champion yet
+  let results = derivePlayoffResults(season);
+  assert.ok(Object.values(results).every(r => !r.pChampion));
+  assert.deepEqual(results['Team 2'], { made: true, rounds: 3, pChampion: false });
+
+  score(season, 17, { 'Team 1 vs Team 2': [110, 120], 'Team 3 vs Team 5': [100, 90] });
+  results = derivePlayoffResults(season);
+
+  assert.deepEqual(results['Team 2'], { made: true, rounds: 3, pChampion: true });
+  // the bye week counts as a round reached
+  assert.deepEqual(results['Team 1'], { made: true, rounds: 3, pChampion: false });
+  assert.deepEqual(results['Team 3'], { made: true, rounds: 2, pChampion: false });
+  assert.deepEqual(results['Team 4'], { made: true, rounds: 1, pChampion: false });
+  // consolation and toilet bowl games aren't playoff rounds
+  assert.deepEqual(results['Team 7'], { made: false, rounds: 0, pChampion: false });
+  assert.deepEqual(results['Team 12'], { made: false, rounds: 0, pChampion: false });
+});
+
+test("a tied final goes to the better seed", () => {
+  const season = seededSeason();
+  score(season, 15, FIRST_ROUND);
+  advancePlayoffs(season, 15);
+  score(season, 16, SEMIFINALS);
+  advancePlayoffs(season, 16);
+  score(season, 17, { 'Team 1 vs Team 2': [115, 115] });
+
+  assert.equal(derivePlayoffResults(season)['Team 1'].pChampion, true);
+  assert.equal(derivePlayoffResults(season)['Team 2'].pChampion, false);
+});
@@ -0,0 +1,137 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readScheduleOptions, generateSchedule } from "../server/schedule.js";
+
+const roster = count => Array.from({ length: count }, (_, idx) => ({ name: `Team ${idx + 1}` }));
+
+/**
+ * Weeks between consecutive meetings of the same pair, over the whole schedule
+ */
+function rematchGaps(weeks) {
+  const lastMeeting = {};
+  const gaps = [];
+  Object.keys(weeks).map(Number).sort((a, b) => a - b).forEach(week => {
+    weeks[week].matchups.forEach(({ team1, team2 }) => {
+      if (team2 === 'BYE') return;
+      const key = [team1, team2].sort().join('|');
+      if (lastMeeting[key]) gaps.push(week - lastMeeting[key]);
+      lastMeeting[key] = week;
+    });
+  });
+  return gaps;
+}
+
+test("schedule weeks default to the regular season", () => {
+  assert.equal(readScheduleOptions({}, 14).options.weeks, 14);
+  assert.equal(readScheduleOptions({ weeks: '' }, 13).options.weeks, 13);
+  assert.equal(readScheduleOptions({ weeks: 10 }, 14).options.weeks, 10);
+});
+
+test("schedule weeks outside the regular season are refused", () => {
+  [17, 15, 0, -3, 2.5, 'abc'].forEach(weeks => {
+    const { options, error } = readScheduleOptions({ weeks }, 14);
+    assert.equal(options, undefined, `weeks: ${weeks}`);
+    assert.match(error, /from 1 to 14/);
+  });
+});
+
+test("every team plays exactly once a week", () => {
+  const teams = roster(10);
+  const { weeks, warnings } = generateSchedule(teams, { weeks: 14, seed: 42 });
+
+  assert.deepEqual(Object.keys(weeks).map(Number), [...Array(14).keys()].map(idx => idx + 1));
+  assert.deepEqual(warnings, []);
+  Object.entries(weeks).forEach(([week, { matchups }]) => {
+    assert.equal(matchups.length, 5, `week ${week}`);
+    const playing = matchups.flatMap(m => [m.team1, m.team2]).sort();
+    assert.deepEqual(playing, teams.map(t => t.name).sort(), `week ${week}`);
+    matchups.forEach(m => {
+      assert.equal(m.team1Score, null);
+      assert.equal(m.team2Score, null);
+    });
+  });
+});
+
+test("an odd roster gives one team a bye each week", () => {
+  const teams = roster(9);
+  const { weeks } = generateSchedule(teams, { weeks: 14, seed: 7 });
+  const byes = {};
+
+  Object.entries(weeks).forEach(([week, { matchups }]) => {
+    const byeGames = matchups.filter(m => m.team1 === 'BYE' || m.team2 === 'BYE');
+    assert.equal(byeGames.length, 1, `week ${week}`);
+    assert.equal(byeGames[0].team2, 'BYE', `week ${week}: BYE is listed second`);
+    byes[byeGames[0].team1] = (byes[byeGames[0].team1] || 0) + 1;
+
+    const playing = matchups.flatMap(m => [m.team1, m.team2]).filter(name => name !== 'BYE').sort();
+    assert.deepEqual(playing, teams.map(t => t.name).sort(), `week ${week}`);
+  });
+
+  // 14 weeks over 9 rounds: nobody sits more than twice
+  assert.ok(Object.values(byes).every(count => count <= 2));
+});
+
+test("rematches are at least the minimum gap apart", () => {
+  [[10, 14, undefined], [8, 14, 4], [9, 13, undefined]].forEach(([count, weekCount, minRematchGap]) => {
+    const { weeks, warnings } = generateSchedule(roster(count), { weeks: weekCount, minRematchGap, seed: 3 });
+    const required = minRematchGap ?? Math.ceil((count % 2 ? count : count - 1) / 2);
+    const gaps = rematchGaps(weeks);
+
+    assert.ok(gaps.length > 0, `${count} teams`);
+    assert.ok(Math.min(...gaps) >= required, `${count} teams: closest rematch ${Math.min(...gaps)} weeks`);
+    assert.deepEqual(warnings, []);
+  });
+});
+
+test("a gap the schedule can't keep is reported", () => {
+  const { weeks, warnings } = generateSchedule(roster(4), { weeks: 6, minRematchGap: 5, seed: 1 });
+
+  assert.ok(Math.min(...rematchGaps(weeks)) < 5);
+  assert.ok(warnings.length > 0);
+  warnings.forEach(warning => assert.match(warning, /^Week \d+: .+ vs .+ rematch after \d+ weeks$/));
+});
+
+test("rivalry weeks get their pairs", () => {
+  const rivalryWeeks = [
+    { week: 7, pairs: [['Team 1', 'Team 2'], ['Team 3', 'Team 4']] },
+    { week: 14, pairs: [['Team 1', 'Team 2']] }
+  ];
+  [1, 2, 3, 4, 5].forEach(seed => {
+    const { weeks } = generateSchedule(roster(10), { weeks: 14, rivalryWeeks, seed });
+    const playsIn = (week, a, b) => weeks[week].matchups.some(m =>
+      [m.team1, m.team2].sort().join('|') === [a, b].sort().join('|'));
+
+    assert.ok(playsIn(7, 'Team 1', 'Team 2'), `seed ${seed}`);
+    assert.ok(playsIn(7, 'Team 3', 'Team 4'), `seed ${seed}`);
+    assert.ok(playsIn(14, 'Team 1', 'Team 2'), `seed ${seed}`);
+  });
+});
+
+test("a rivalry with an unknown team is reported and the roster kept", () => {
+  const teams = roster(6);
+  const { weeks, warnings } = generateSchedule(teams, {
+    weeks: 10,
+    rivalryWeeks: [{ week: 3, pairs: [['Team 1', 'Nobody']] }],
+    seed: 1
+  });
+
+  assert.deepEqual(warnings, ['Week 3: rivalry includes a team that is not on the roster']);
+  Object.values(weeks).forEach(({ matchups }) => {
+    assert.deepEqual(matchups.flatMap(m => [m.team1, m.team2]).sort(), teams.map(t => t.name).sort());
+  });
+});
+
+test("the same seed gives the same schedule", () => {
+  const options = { weeks: 14, seed: 1234, rivalryWeeks: [{ week: 5, pairs: [['Team 2', 'Team 6']] }] };
+  const first = generateSchedule(roster(9), options);
+  const again = generateSchedule(roster(9), options);
+
+  assert.equal(first.seed, 1234);
+  assert.deepEqual(again, first);
+  assert.notDeepEqual(generateSchedule(roster(9), { ...options, seed: 4321 }).weeks, first.weeks);
+
+  // a generated seed reproduces its own schedule
+  const random = generateSchedule(roster(9), { weeks: 14 });
+  assert.ok(Number.isInteger(random.seed));
+  assert.deepEqual(generateSchedule(roster(9), { weeks: 14, seed: random.seed }).weeks, random.weeks);
+});
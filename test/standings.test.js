@@ -0,0 +1,199 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { migrateSeasonsData } from "../server/migrations.js";
+import { getSettings, getPlayoffWeeks } from "../server/settings.js";
+import { recalculateSeasonStandings } from "../server/standings.js";
+
+const raw = JSON.parse(fs.readFileSync(new URL("../src/data/seasons.json", import.meta.url), "utf-8"));
+const { data: seasonsData } = migrateSeasonsData(raw);
+
+/**
+ * Playoff games recorded in the first playoff week, with the seeds from their labels
+ * e.g. "#4 SEED vs #5 SEED" - the label doesn't say which side is which seed
+ */
+function recordedSeeds(year) {
+  const season = seasonsData[year];
+  const [firstWeek] = getPlayoffWeeks(getSettings(season));
+
+  return (season.weeks[firstWeek]?.matchups || [])
+    .filter(m => m.status === 'playoff' && m.team1)
+    .map(m => ({
+      teams: [m.team1, m.team2].filter(name => name !== 'BYE'),
+      seeds: [...(m.label || '').matchAll(/#(\d+)/g)].map(match => Number(match[1]))
+    }));
+}
+
+const seededYears = Object.keys(seasonsData).filter(year => recordedSeeds(year).length > 0);
+
+/**
+ * Three-week season where A/B finish 2-1 and C/D finish 1-2
+ *   B beat A, but A scored more (400 to 330)
+ *   C beat D, with the same points for (280)
+ *   A, B and C are in the East - B went 2-0 against them, A 1-1
+ */
+function tiedSeason(settings = {}) {
+  const game = (team1, team1Score, team2, team2Score) => ({ team1, team1Score, team2, team2Score });
+  return {
+    teams: [
+      { name: 'A', division: 'East' },
+      { name: 'B', division: 'East' },
+      { name: 'C', division: 'East' },
+      { name: 'D', division: 'West' }
+    ],
+    settings: { regularSeasonWeeks: 3, playoffTeams: 0, byes: 0, toiletTeams: 0, consolation: false, ...settings },
+    weeks: {
+      1: { matchups: [game('A', 100, 'B', 110), game('C', 90, 'D', 80)] },
+      2: { matchups: [game('A', 150, 'C', 90), game('B', 100, 'D', 120)] },
+      3: { matchups: [game('A', 150, 'D', 80), game('B', 120, 'C', 100)] }
+    }
+  };
+}
+
+function rank(settings) {
+  const season = tiedSeason(settings);
+  const timeline = recalculateSeasonStandings(season, 2030);
+  return { season, timeline, byName: Object.fromEntries(season.standings.map(row => [row.name, row])) };
+}
+
+test("finished seasons store a tiebreaker order", () => {
+  Object.keys(seasonsData).forEach(year => {
+    assert.deepEqual(
+      seasonsData[year].settings.tiebreakers,
+      ['winPct', 'pointsFor', 'headToHead', 'pointsAgainst', 'division', 'coinFlip'],
+      year
+    );
+  });
+});
+
+test("recalculated standings keep every season's recorded playoff seeds", () => {
+  assert.ok(seededYears.includes("2024") && seededYears.includes("2025"));
+
+  seededYears.forEach(year => {
+    const season = structuredClone(seasonsData[year]);
+    recalculateSeasonStandings(season, year);
+    const places = Object.fromEntries(season.standings.map(row => [row.name, row.place]));
+
+    recordedSeeds(year).forEach(({ teams, seeds }) => {
+      const ranked = teams.map(name => places[name]).sort((a, b) => a - b);
+      assert.deepEqual(ranked, seeds, `${year}: ${teams.join(' vs ')} are seeded ${seeds.map(s => `#${s}`).join(' vs ')}`);
+    });
+  });
+});
+
+test("derived champions and playoff rounds match the hand-entered ones", () => {
+  Object.keys(seasonsData).forEach(year => {
+    const season = structuredClone(seasonsData[year]);
+    recalculateSeasonStandings(season, year);
+
+    season.standings.forEach(row => {
+      const entered = seasonsData[year].standings.find(t => t.name === row.name);
+      assert.equal(row.rChampion, entered.rChampion, `${year} ${row.name}`);
+      assert.equal(row.playoff.pChampion, entered.playoff.pChampion, `${year} ${row.name}`);
+      assert.equal(row.playoff.rounds, entered.playoff.rounds, `${year} ${row.name}`);
+    });
+  });
+});
+
+test("there is no regular-season champion until every regular-season game is in", () => {
+  const season = tiedSeason();
+  season.weeks[3].matchups[1] = { team1: 'B', team1Score: null, team2: 'C', team2Score: null };
+  recalculateSeasonStandings(season, 2030);
+  assert.ok(season.standings.every(row => row.rChampion === false));
+
+  const finished = tiedSeason();
+  recalculateSeasonStandings(finished, 2030);
+  assert.deepEqual(finished.standings.filter(row => row.rChampion).map(row => row.name), ['A']);
+});
+
+test("points for breaks a tie before head-to-head, which settles the rest", () => {
+  const { season, byName } = rank({ tiebreakers: ['winPct', 'pointsFor', 'headToHead', 'coinFlip'] });
+
+  assert.deepEqual(season.standings.map(row => row.name), ['A', 'B', 'C', 'D']);
+  assert.deepEqual(season.standings.map(row => row.place), [1, 2, 3, 4]);
+  assert.equal(byName.A.tiebreakReason, 'Tiebreak vs B: points for 400.0');
+  assert.equal(byName.B.tiebreakReason, 'Tiebreak vs A: points for 330.0');
+  assert.equal(byName.C.tiebreakReason, 'Tiebreak vs D: head-to-head 1-0');
+  assert.equal(byName.D.tiebreakReason, 'Tiebreak vs C: head-to-head 0-1');
+});
+
+test("head-to-head ranks ahead of points when it comes first", () => {
+  const { season, byName } = rank({ tiebreakers: ['winPct', 'headToHead', 'pointsFor', 'coinFlip'] });
+
+  assert.deepEqual(season.standings.map(row => row.name), ['B', 'A', 'C', 'D']);
+  assert.equal(byName.B.tiebreakReason, 'Tiebreak vs A: head-to-head 1-0');
+  assert.equal(byName.A.tiebreakReason, 'Tiebreak vs B: head-to-head 0-1');
+});
+
+test("division record only separates teams in the same division", () => {
+  const { season, byName } = rank({ tiebreakers: ['winPct', 'division', 'coinFlip'] });
+
+  assert.deepEqual(season.standings.slice(0, 2).map(row => row.name), ['B', 'A']);
+  assert.equal(byName.B.tiebreakReason, 'Tiebreak vs A: division record 2-0');
+  assert.equal(byName.A.tiebreakReason, 'Tiebreak vs B: division record 1-1');
+  // C (East) and D (West) fall through to the coin flip
+  assert.equal(byName.C.tiebreakReason, 'Tiebreak vs D: coin flip');
+  assert.equal(byName.D.tiebreakReason, 'Tiebreak vs C: coin flip');
+});
+
+test("the coin flip is fixed for the season", () => {
+  const first = rank({ tiebreakers: ['winPct', 'coinFlip'] });
+  const again = rank({ tiebreakers: ['winPct', 'coinFlip'] });
+
+  assert.deepEqual(first.season.standings.map(row => row.name), again.season.standings.map(row => row.name));
+  assert.deepEqual(first.season.standings.map(row => row.wins), [2, 2, 1, 1]);
+  first.season.standings.forEach(row => {
+    assert.match(row.tiebreakReason, /^Tiebreak vs [A-D]: coin flip$/);
+  });
+});
+
+test("teams still tied after every tiebreaker say so", () => {
+  const { byName } = rank({ tiebreakers: ['winPct'] });
+
+  assert.equal(byName.A.tiebreakReason, 'Still tied with B after every tiebreaker');
+  assert.equal(byName.C.tiebreakReason, 'Still tied with D after every tiebreaker');
+});
+
+test("untied teams store no tiebreak reason", () => {
+  const season = tiedSeason();
+  // A beats B in week 1 and goes 3-0 ahead of three 1-2 teams
+  season.weeks[1].matchups[0].team1Score = 120;
+  recalculateSeasonStandings(season, 2030);
+
+  assert.equal(season.standings[0].name, 'A');
+  assert.equal(season.standings[0].tiebreakReason, null);
+  assert.ok(season.standings.slice(1).every(row => row.tiebreakReason !== null));
+});
+
+test("the timeline snapshots every regular-season week", () => {
+  const { season, timeline } = rank();
+
+  assert.deepEqual(timeline.map(entry => entry.week), [1, 2, 3]);
+  assert.deepEqual(
+    timeline[2].standings.map(({ name, place }) => ({ name, place })),
+    season.standings.map(({ name, place }) => ({ name, place }))
+  );
+  assert.ok(season.standings.every(row => row.prevPlace === timeline[1].standings.find(t => t.name === row.name).place));
+});
+
+test("median games count in the record but not in points per game", () => {
+  const { byName } = rank({ medianGame: true });
+
+  assert.deepEqual(byName.A.h2hRecord, { wins: 2, losses: 1, ties: 0 });
+  assert.equal(byName.A.wins + byName.A.losses + byName.A.ties, 6);
+  assert.equal(byName.A.medianRecord.wins + byName.A.medianRecord.losses + byName.A.medianRecord.ties, 3);
+  // B 330, C 280 and D 280 over three head-to-head games each
+  assert.equal(byName.A.sos.past.opponentPfpg, 98.89);
+});
+
+test("seasons without scores are left alone", () => {
+  const season = tiedSeason();
+  Object.values(season.weeks).forEach(week => week.matchups.forEach(m => {
+    m.team1Score = null;
+    m.team2Score = null;
+  }));
+  season.standings = [{ name: 'A', place: 1 }];
+
+  assert.deepEqual(recalculateSeasonStandings(season, 2030), []);
+  assert.deepEqual(season.standings, [{ name: 'A', place: 1 }]);
+});